@@ -1,51 +1,498 @@
-require('dotenv').config();
+// Only the entry point loads .env, so requiring the module (as the tests do)
+// leaves the environment alone
+if (require.main === module) {
+  require('dotenv').config();
+}
+
 const express = require('express');
 const axios = require('axios');
 const path = require('path');
-const { exec } = require('child_process');
-const { promisify } = require('util');
-const os = require('os');
+const http = require('http');
+const https = require('https');
+const { performance } = require('perf_hooks');
+const fs = require('fs');
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
 const WebSocket = require('ws');
+const nodemailer = require('nodemailer');
+const yaml = require('js-yaml');
+const {
+  SYSTEM_SCHEMA_VERSION,
+  validateSystemReport,
+} = require('./system_agent');
+
+// Console output, off with LOG_ENABLED=false. `npm test` turns it off, as
+// Node's test runner can fail to parse a test file's output mixed with logs
+const LOG_ENABLED = process.env.LOG_ENABLED !== 'false';
+const console = LOG_ENABLED ? global.console : { log() {}, error() {} };
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
-const execAsync = promisify(exec);
+// Background polling configuration (milliseconds)
+const POLL_INTERVAL = parseInt(process.env.POLL_INTERVAL) || 30000;
+const POLL_STALE_AFTER = parseInt(process.env.POLL_STALE_AFTER) || null;
+
+// Probe history storage (append-only JSONL, one file per endpoint per UTC day)
+const HISTORY_ENABLED = process.env.HISTORY_ENABLED !== 'false';
+const HISTORY_DIR =
+  process.env.HISTORY_DIR || path.join(__dirname, 'data', 'history');
+const HISTORY_RETENTION_DAYS =
+  parseInt(process.env.HISTORY_RETENTION_DAYS) || 90;
+const HISTORY_RAW_RETENTION_DAYS =
+  parseInt(process.env.HISTORY_RAW_RETENTION_DAYS) || 7;
+const HISTORY_DOWNSAMPLE_RESOLUTION =
+  process.env.HISTORY_DOWNSAMPLE_RESOLUTION || '5m';
+
+// Incident tracking: where incidents are stored, the block lag that opens
+// one, good probes needed to close one and how long closed ones are kept
+const INCIDENTS_FILE =
+  process.env.INCIDENTS_FILE || path.join(__dirname, 'data', 'incidents.json');
+const INCIDENT_LAG_THRESHOLD =
+  parseInt(process.env.INCIDENT_LAG_THRESHOLD) || 10;
+const INCIDENT_RESOLVE_AFTER =
+  parseInt(process.env.INCIDENT_RESOLVE_AFTER) || 2;
+const INCIDENT_RETENTION_DAYS =
+  parseInt(process.env.INCIDENT_RETENTION_DAYS) || 30;
+
+// Uptime / SLA report windows and how long a computed report is reused (ms)
+const SLA_WINDOWS = ['1h', '24h', '7d', '30d'];
+const SLA_CACHE_TTL = parseInt(process.env.SLA_CACHE_TTL) || 60000;
+
+// Latency tracking: rolling window size and health score thresholds (ms)
+const LATENCY_WINDOW = parseInt(process.env.LATENCY_WINDOW) || 100;
+const LATENCY_WARN_MS = parseInt(process.env.LATENCY_WARN_MS) || 1000;
+const LATENCY_CRITICAL_MS = parseInt(process.env.LATENCY_CRITICAL_MS) || 3000;
+
+// Health scoring: weight of each test (declared checks use their own
+// `weight`, other tests count 1), tests whose failure forces a score of 0,
+// penalties for block lag and system resource pressure, and the scores from
+// which an endpoint counts as healthy or degraded rather than unhealthy
+const HEALTH_WEIGHTS = {
+  blockNumber: 3,
+  chainId: 2,
+  syncStatus: 2,
+  gasPrice: 1,
+  archive: 2,
+  ...parseHealthWeights(process.env.HEALTH_WEIGHTS),
+};
+const HEALTH_CRITICAL_TESTS = (
+  process.env.HEALTH_CRITICAL_TESTS ?? 'blockNumber'
+)
+  .split(',')
+  .map((test) => test.trim())
+  .filter(Boolean);
+const HEALTH_LAG_TOLERANCE = process.env.HEALTH_LAG_TOLERANCE
+  ? parseInt(process.env.HEALTH_LAG_TOLERANCE)
+  : 2;
+const HEALTH_LAG_PENALTY_PER_BLOCK = process.env.HEALTH_LAG_PENALTY_PER_BLOCK
+  ? parseFloat(process.env.HEALTH_LAG_PENALTY_PER_BLOCK)
+  : 2;
+const HEALTH_LAG_PENALTY_MAX = process.env.HEALTH_LAG_PENALTY_MAX
+  ? parseFloat(process.env.HEALTH_LAG_PENALTY_MAX)
+  : 40;
+const HEALTH_RESOURCE_WARN_PERCENT =
+  parseFloat(process.env.HEALTH_RESOURCE_WARN_PERCENT) || 85;
+const HEALTH_RESOURCE_CRITICAL_PERCENT =
+  parseFloat(process.env.HEALTH_RESOURCE_CRITICAL_PERCENT) || 95;
+const HEALTH_HEALTHY_THRESHOLD =
+  parseFloat(process.env.HEALTH_HEALTHY_THRESHOLD) || 80;
+const HEALTH_DEGRADED_THRESHOLD =
+  parseFloat(process.env.HEALTH_DEGRADED_THRESHOLD) || 50;
+
+// Accept /system reports without schemaVersion from older system monitors
+const SYSTEM_LEGACY_REPORTS = process.env.SYSTEM_LEGACY_REPORTS === 'true';
+
+// Parse test weights given as "blockNumber:3,gasPrice:0.5"
+function parseHealthWeights(value) {
+  const weights = {};
+  for (const pair of (value || '').split(',')) {
+    const [test, weight] = pair.split(':').map((part) => part.trim());
+    if (!test) continue;
+    if (isNaN(parseFloat(weight)) || parseFloat(weight) < 0) {
+      console.log(`⚠️ Ignoring HEALTH_WEIGHTS entry '${pair}'`);
+      continue;
+    }
+    weights[test] = parseFloat(weight);
+  }
+  return weights;
+}
+
+// Send concurrent calls to the same URL as one JSON-RPC batch. Endpoints that
+// reject batches get individual calls for RPC_BATCH_RETRY_INTERVAL ms
+const RPC_BATCH_ENABLED = process.env.RPC_BATCH_ENABLED !== 'false';
+const RPC_BATCH_RETRY_INTERVAL =
+  parseInt(process.env.RPC_BATCH_RETRY_INTERVAL) || 3600000;
+
+// Retries of failed RPC calls: how many, for which error classes, and the
+// backoff (ms) that doubles per attempt up to RPC_RETRY_MAX_DELAY
+const RPC_RETRIES = process.env.RPC_RETRIES
+  ? parseInt(process.env.RPC_RETRIES)
+  : 1;
+const RPC_RETRY_ON = (
+  process.env.RPC_RETRY_ON ||
+  'timeout,dns,connection_refused,connection_reset,rate_limited,http_5xx'
+)
+  .split(',')
+  .map((errorClass) => errorClass.trim());
+const RPC_RETRY_BASE_DELAY = parseInt(process.env.RPC_RETRY_BASE_DELAY) || 250;
+const RPC_RETRY_MAX_DELAY = parseInt(process.env.RPC_RETRY_MAX_DELAY) || 5000;
+
+// Rate limit awareness: a provider that rate limits a probe is polled up to
+// RATE_LIMIT_MAX_SLOWDOWN times less often, halving the slowdown again with
+// every clean probe. JSON-RPC errors with these codes or messages count as
+// rate limiting
+const RATE_LIMIT_MAX_SLOWDOWN =
+  parseInt(process.env.RATE_LIMIT_MAX_SLOWDOWN) || 16;
+const RATE_LIMIT_ERROR_CODES = [429, -32005];
+const RATE_LIMIT_PATTERN =
+  /rate.?limit|too many requests|limit exceeded|exceeded .*(limit|quota|capacity)|quota/i;
+
+// Default request timeout for main RPC endpoints (ms)
+const RPC_TIMEOUT = parseInt(process.env.RPC_TIMEOUT) || 10000;
+
+// How long (ms) the block number may stay unchanged before the endpoint is
+// considered stalled. 0 requires a new block on every probe
+const BLOCK_STALL_AFTER = process.env.BLOCK_STALL_AFTER
+  ? parseInt(process.env.BLOCK_STALL_AFTER)
+  : 60000;
+
+// Fork detection: compare block hashes with the reference node and walk back
+// at most FORK_CHECK_MAX_DEPTH blocks to find the last common ancestor. It
+// runs at most every FORK_CHECK_INTERVAL ms per endpoint, so it does not use
+// up the call budget
+const FORK_CHECK_ENABLED = process.env.FORK_CHECK_ENABLED !== 'false';
+const FORK_CHECK_MAX_DEPTH = parseInt(process.env.FORK_CHECK_MAX_DEPTH) || 32;
+const FORK_CHECK_INTERVAL = process.env.FORK_CHECK_INTERVAL
+  ? parseInt(process.env.FORK_CHECK_INTERVAL)
+  : 60000;
+
+// WebSocket probes subscribe to newHeads and wait for WS_PROBE_HEADS headers
+// for at most WS_PROBE_TIMEOUT ms
+const WS_PROBE_HEADS = parseInt(process.env.WS_PROBE_HEADS) || 3;
+const WS_PROBE_TIMEOUT = parseInt(process.env.WS_PROBE_TIMEOUT) || 15000;
+
+// Persistent newHeads subscriptions for every endpoint with a WebSocket URL.
+// Reconnects back off from 1s up to HEAD_WATCHER_MAX_BACKOFF ms, and a
+// subscription without heads for HEAD_WATCHER_IDLE_TIMEOUT ms is reconnected.
+// After HEAD_WATCHER_MAX_FAILURES connections in a row without a head the
+// watcher gives up until the configuration is reloaded
+const HEAD_WATCHERS_ENABLED = process.env.HEAD_WATCHERS_ENABLED !== 'false';
+const HEAD_WATCHER_MAX_BACKOFF =
+  parseInt(process.env.HEAD_WATCHER_MAX_BACKOFF) || 60000;
+const HEAD_WATCHER_MAX_FAILURES =
+  parseInt(process.env.HEAD_WATCHER_MAX_FAILURES) || 10;
+const HEAD_WATCHER_IDLE_TIMEOUT =
+  parseInt(process.env.HEAD_WATCHER_IDLE_TIMEOUT) || 120000;
+
+// Optional JSON-RPC proxy listener that forwards requests to the healthiest
+// main endpoint of a chain. Upstreams more than PROXY_MAX_LAG blocks behind
+// are skipped, and a request fails over to the next upstream on errors or
+// timeouts, up to PROXY_MAX_ATTEMPTS upstreams
+const PROXY_ENABLED = process.env.PROXY_ENABLED === 'true';
+const PROXY_PORT = parseInt(process.env.PROXY_PORT) || 8545;
+const PROXY_CHAIN = process.env.PROXY_CHAIN || null;
+const PROXY_MAX_LAG = process.env.PROXY_MAX_LAG
+  ? parseInt(process.env.PROXY_MAX_LAG)
+  : 5;
+const PROXY_TIMEOUT = parseInt(process.env.PROXY_TIMEOUT) || 10000;
+const PROXY_MAX_ATTEMPTS = parseInt(process.env.PROXY_MAX_ATTEMPTS) || 3;
+// Optional token clients must send as `Authorization: Bearer <token>` or ?token=
+const PROXY_TOKEN = process.env.PROXY_TOKEN || null;
+
+// Archive verification runs at most every ARCHIVE_CHECK_INTERVAL ms per
+// endpoint, as historical queries are expensive
+const ARCHIVE_CHECK_INTERVAL =
+  parseInt(process.env.ARCHIVE_CHECK_INTERVAL) || 600000;
+
+// Blocks behind the head whose state even pruned nodes keep
+const ARCHIVE_RECENT_BLOCKS = 128;
+
+// Errors of nodes that no longer have the state of a block
+const MISSING_STATE_PATTERN =
+  /missing trie node|pruned|state.*not available|historical state|header not found|unknown block|required historical/i;
+
+// API keys from the configuration, redacted from API responses and logs
+const KNOWN_SECRETS = new Set();
+
+// Query parameters whose values are treated as secrets in URLs
+const SECRET_QUERY_PARAMS =
+  /^(api[-_]?key|apikey|key|token|access[-_]?token|auth|secret|password)$/i;
+
+// Apply an API key to an endpoint URL or its request headers. Modes:
+// 'path' appends /<key>, 'query' adds ?<param>=<key> (default param api_key),
+// 'header' sends <param>: <key> (default x-api-key) and 'bearer' sends
+// Authorization: Bearer <key>
+function applyApiKey(url, apiKey, mode = 'path', param) {
+  if (!url || !apiKey) {
+    return { url: url, headers: {} };
+  }
+
+  KNOWN_SECRETS.add(apiKey);
+
+  switch (mode) {
+    case 'query': {
+      const parsed = new URL(url);
+      parsed.searchParams.set(param || 'api_key', apiKey);
+      return { url: parsed.toString(), headers: {} };
+    }
+    case 'header':
+      return { url: url, headers: { [param || 'x-api-key']: apiKey } };
+    case 'bearer':
+      return { url: url, headers: { Authorization: `Bearer ${apiKey}` } };
+    case 'path':
+      return { url: `${url.replace(/\/+$/, '')}/${apiKey}`, headers: {} };
+    default:
+      console.log(`⚠️ Unknown API key mode '${mode}', using 'path'`);
+      return applyApiKey(url, apiKey, 'path', param);
+  }
+}
+
+// Replace every configured secret in a piece of text
+function redactSecrets(text) {
+  let redacted = String(text);
+  for (const secret of KNOWN_SECRETS) {
+    redacted = redacted.split(secret).join('***');
+  }
+  return redacted;
+}
+
+// Redact credentials from a URL: configured API keys, userinfo passwords,
+// secret query parameters and token-like path segments (e.g. /v2/<key>)
+function redactUrl(url) {
+  if (!url) {
+    return url;
+  }
+
+  const redacted = redactSecrets(url);
+
+  try {
+    const parsed = new URL(redacted);
+    let changed = false;
+
+    if (parsed.password) {
+      parsed.password = '***';
+      changed = true;
+    }
+
+    for (const name of [...parsed.searchParams.keys()]) {
+      if (SECRET_QUERY_PARAMS.test(name)) {
+        parsed.searchParams.set(name, '***');
+        changed = true;
+      }
+    }
+
+    const segments = parsed.pathname.split('/');
+    const redactedSegments = segments.map((segment) =>
+      segment.length >= 20 &&
+      /^[A-Za-z0-9_-]+$/.test(segment) &&
+      /[0-9]/.test(segment) &&
+      /[A-Za-z]/.test(segment)
+        ? '***'
+        : segment
+    );
+    if (redactedSegments.some((segment, i) => segment !== segments[i])) {
+      parsed.pathname = redactedSegments.join('/');
+      changed = true;
+    }
+
+    // Leave URLs without credentials exactly as configured
+    return changed ? decodeURI(parsed.toString()) : redacted;
+  } catch (error) {
+    return redacted;
+  }
+}
+
+// Configuration file (YAML or JSON) with chain groups, main and external
+// endpoints. Without CONFIG_FILE, config.yaml, config.yml or config.json in
+// the working directory (or data/config.yaml saved by the endpoint management
+// API) is used if present; otherwise the environment variables below are read
+// Where runtime endpoint changes are saved when there is no config file yet
+const CONFIG_SAVE_FILE = path.join(__dirname, 'data', 'config.yaml');
+
+let CONFIG_FILE =
+  process.env.CONFIG_FILE ||
+  ['config.yaml', 'config.yml', 'config.json']
+    .map((file) => path.resolve(file))
+    .concat(CONFIG_SAVE_FILE)
+    .find((file) => fs.existsSync(file)) ||
+  null;
+
+// How often (ms) the config file is checked for changes
+const CONFIG_RELOAD_INTERVAL =
+  parseInt(process.env.CONFIG_RELOAD_INTERVAL) || 2000;
+
+// Fields accepted in each config section and their types
+const CONFIG_SCHEMA = {
+  chains: {
+    key: 'string',
+    name: 'string',
+    chain_id: 'id',
+    reference: 'string',
+  },
+  endpoints: {
+    key: 'string',
+    name: 'string',
+    url: 'url',
+    ws_url: 'url',
+    chain_id: 'id',
+    chain: 'string',
+    timeout: 'number',
+    compare_with: 'string',
+    system_url: 'url',
+    is_reference: 'boolean',
+    poll_interval: 'number',
+    block_stall_after: 'number',
+    max_calls_per_minute: 'number',
+    max_calls_per_day: 'number',
+    api_key: 'string',
+    api_key_mode: 'api_key_mode',
+    api_key_param: 'string',
+    display_url: 'string',
+    checks: 'checks',
+    archive: 'archive',
+  },
+  external_endpoints: {
+    key: 'string',
+    name: 'string',
+    url: 'url',
+    ws_url: 'url',
+    description: 'string',
+    chain: 'string',
+    timeout: 'number',
+    poll_interval: 'number',
+    max_calls_per_minute: 'number',
+    max_calls_per_day: 'number',
+    show_in_ui: 'boolean',
+    api_key: 'string',
+    api_key_mode: 'api_key_mode',
+    api_key_param: 'string',
+  },
+};
+
+const CONFIG_REQUIRED_FIELDS = {
+  chains: ['key'],
+  endpoints: ['name', 'url'],
+  external_endpoints: ['name', 'url'],
+};
+
+const API_KEY_MODES = ['path', 'query', 'header', 'bearer'];
+
+// Fields of a declared RPC check (the `checks` list of an endpoint)
+const CHECK_SCHEMA = {
+  name: 'string',
+  method: 'string',
+  params: 'list',
+  expect: 'check_expect',
+  pattern: 'regex',
+  min: 'finite',
+  max: 'finite',
+  weight: 'number',
+  critical: 'boolean',
+};
+
+// Fields of an endpoint's archive verification settings (`archive`)
+const ARCHIVE_SCHEMA = {
+  blocks: 'blocks',
+  samples: 'number',
+  address: 'address',
+  storage_slot: 'string',
+  call_data: 'string',
+  trace: 'boolean',
+  trace_transaction: 'string',
+  interval: 'number',
+};
+
+// How a check result is asserted: not null, matching `pattern`, numeric
+// between `min` and `max`, or equal to the compare_with endpoint's result
+const CHECK_EXPECTATIONS = ['non_null', 'regex', 'range', 'reference'];
+
+// Test names used by the built-in probes, not available to declared checks
+const BUILTIN_TESTS = [
+  'blockNumber',
+  'chainId',
+  'gasPrice',
+  'syncStatus',
+  'archive',
+];
+
+// Function to get chain groups from environment variables
+// CHAIN_1_KEY, CHAIN_1_NAME, CHAIN_1_ID, CHAIN_1_REFERENCE
+// CHAIN_2_KEY, CHAIN_2_NAME, CHAIN_2_ID, CHAIN_2_REFERENCE
+// etc.
+function getChainGroups() {
+  const chains = [];
+
+  // Check for up to 20 chain groups
+  for (let i = 1; i <= 20; i++) {
+    const key = process.env[`CHAIN_${i}_KEY`];
+
+    if (key) {
+      chains.push({
+        key: key,
+        name: process.env[`CHAIN_${i}_NAME`],
+        chain_id: process.env[`CHAIN_${i}_ID`],
+        reference: process.env[`CHAIN_${i}_REFERENCE`],
+      });
+    }
+  }
+
+  return chains;
+}
+
+// Parse a JSON value from the environment (RPC_{N}_CHECKS, RPC_{N}_ARCHIVE).
+// Invalid JSON is kept as is so that validation reports it
+function parseJsonEnv(value) {
+  if (!value) return undefined;
+
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
 
 // Function to get dynamic RPC endpoints from environment variables
 function getRpcEndpoints() {
-  const endpoints = {};
+  const endpoints = [];
 
   // Check for up to 20 main RPC endpoints
   for (let i = 1; i <= 20; i++) {
     const name = process.env[`RPC_${i}_NAME`];
     const url = process.env[`RPC_${i}_URL`];
-    const chainId = process.env[`RPC_${i}_CHAIN_ID`];
-    const timeout = process.env[`RPC_${i}_TIMEOUT`];
-    const compareWith = process.env[`RPC_${i}_COMPARE_WITH`];
-    const systemMonitorUrl = process.env[`RPC_${i}_SYSTEM_URL`];
-    const key = process.env[`RPC_${i}_KEY`] || `rpc_${i}`;
-    const isReference = process.env[`RPC_${i}_IS_REFERENCE`] === 'true';
 
     if (name && url) {
-      endpoints[key] = {
+      endpoints.push({
+        key: process.env[`RPC_${i}_KEY`] || `rpc_${i}`,
         name: name,
         url: url,
-        expected_chain_id: chainId || '998',
-        timeout: parseInt(timeout) || 10000,
-        compare_with: compareWith || null,
-        system_monitor_url: systemMonitorUrl || null,
-        is_reference: isReference,
-      };
+        ws_url: process.env[`RPC_${i}_WS_URL`],
+        chain_id: process.env[`RPC_${i}_CHAIN_ID`],
+        chain: process.env[`RPC_${i}_CHAIN`],
+        timeout: process.env[`RPC_${i}_TIMEOUT`],
+        compare_with: process.env[`RPC_${i}_COMPARE_WITH`],
+        system_url: process.env[`RPC_${i}_SYSTEM_URL`],
+        is_reference: process.env[`RPC_${i}_IS_REFERENCE`] === 'true',
+        poll_interval: process.env[`RPC_${i}_POLL_INTERVAL`],
+        block_stall_after: process.env[`RPC_${i}_BLOCK_STALL_AFTER`],
+        max_calls_per_minute: process.env[`RPC_${i}_MAX_CALLS_PER_MINUTE`],
+        max_calls_per_day: process.env[`RPC_${i}_MAX_CALLS_PER_DAY`],
+        // Referenced by name so the key is not copied when the config is saved
+        api_key: process.env[`RPC_${i}_API_KEY`]
+          ? `\${RPC_${i}_API_KEY}`
+          : undefined,
+        api_key_mode: process.env[`RPC_${i}_API_KEY_MODE`],
+        api_key_param: process.env[`RPC_${i}_API_KEY_PARAM`],
+        display_url: process.env[`RPC_${i}_DISPLAY_URL`],
+        checks: parseJsonEnv(process.env[`RPC_${i}_CHECKS`]),
+        archive: parseJsonEnv(process.env[`RPC_${i}_ARCHIVE`]),
+      });
     }
   }
 
   return endpoints;
 }
 
-// Get RPC endpoints configuration
-const RPC_ENDPOINTS = getRpcEndpoints();
-
 // External RPC endpoints for basic connectivity testing
 // These are separate from the monitored nodes and are just tested for basic RPC functionality
 // Configuration via environment variables:
@@ -59,569 +506,5457 @@ function getExternalRpcEndpoints() {
   for (let i = 1; i <= 10; i++) {
     const name = process.env[`EXTERNAL_RPC_${i}_NAME`];
     const rpcUrl = process.env[`EXTERNAL_RPC_${i}_URL`];
-    const wsUrl = process.env[`EXTERNAL_RPC_${i}_WS_URL`];
-    const description = process.env[`EXTERNAL_RPC_${i}_DESC`];
-    const apiKey = process.env[`EXTERNAL_RPC_${i}_API_KEY`];
-    const showInUI = process.env[`EXTERNAL_RPC_${i}_SHOW_IN_UI`] !== 'false'; // Default to true
 
     if (name && rpcUrl) {
-      // Add API key to URLs if provided
-      let finalRpcUrl = rpcUrl;
-      let finalWsUrl =
-        wsUrl ||
-        rpcUrl.replace('http://', 'ws://').replace('https://', 'wss://');
-
-      if (apiKey) {
-        // Add API key to RPC URL
-        const separator = finalRpcUrl.includes('?') ? '&' : '?';
-        finalRpcUrl = `${finalRpcUrl}/${apiKey}`;
-
-        // Add API key to WebSocket URL
-        const wsSeparator = finalWsUrl.includes('?') ? '&' : '?';
-        finalWsUrl = `${finalWsUrl}/${apiKey}`;
-      }
-
       endpoints.push({
+        key: process.env[`EXTERNAL_RPC_${i}_KEY`] || `external_${i}`,
         name: name,
-        rpcUrl: finalRpcUrl,
-        wsUrl: finalWsUrl,
-        description: description || `External RPC endpoint ${i}`,
-        showInUI: showInUI,
-        // For display purposes, show original URL without API key
-        displayRpcUrl: rpcUrl,
-        displayWsUrl:
-          wsUrl ||
-          rpcUrl.replace('http://', 'ws://').replace('https://', 'wss://'),
+        url: rpcUrl,
+        ws_url: process.env[`EXTERNAL_RPC_${i}_WS_URL`],
+        description:
+          process.env[`EXTERNAL_RPC_${i}_DESC`] || `External RPC endpoint ${i}`,
+        chain: process.env[`EXTERNAL_RPC_${i}_CHAIN`],
+        timeout: process.env[`EXTERNAL_RPC_${i}_TIMEOUT`],
+        poll_interval: process.env[`EXTERNAL_RPC_${i}_POLL_INTERVAL`],
+        max_calls_per_minute:
+          process.env[`EXTERNAL_RPC_${i}_MAX_CALLS_PER_MINUTE`],
+        max_calls_per_day: process.env[`EXTERNAL_RPC_${i}_MAX_CALLS_PER_DAY`],
+        show_in_ui: process.env[`EXTERNAL_RPC_${i}_SHOW_IN_UI`] !== 'false', // Default to true
+        api_key: process.env[`EXTERNAL_RPC_${i}_API_KEY`]
+          ? `\${EXTERNAL_RPC_${i}_API_KEY}`
+          : undefined,
+        api_key_mode: process.env[`EXTERNAL_RPC_${i}_API_KEY_MODE`],
+        api_key_param: process.env[`EXTERNAL_RPC_${i}_API_KEY_PARAM`],
       });
     }
   }
 
   // If no external RPCs configured via env, use defaults
   if (endpoints.length === 0) {
-    return [
-      {
-        name: 'Proxy RPC 1',
-        rpcUrl: 'http://your-proxy-server:9090',
-        wsUrl: 'ws://your-proxy-server:9091',
-        description: 'Internal proxy RPC endpoint',
-        showInUI: true,
-        displayRpcUrl: 'http://your-proxy-server:9090',
-        displayWsUrl: 'ws://your-proxy-server:9091',
-      },
-      {
-        name: 'HyperLiquid Testnet',
-        rpcUrl: 'https://rpc.hyperliquid-testnet.xyz/evm',
-        wsUrl: 'wss://rpc.hyperliquid-testnet.xyz/evm',
-        description: 'Official HyperLiquid testnet RPC',
-        showInUI: true,
-        displayRpcUrl: 'https://rpc.hyperliquid-testnet.xyz/evm',
-        displayWsUrl: 'wss://rpc.hyperliquid-testnet.xyz/evm',
-      },
-    ];
+    return DEFAULT_EXTERNAL_RPC_ENDPOINTS.map((endpoint) => ({ ...endpoint }));
   }
 
   return endpoints;
 }
 
-const EXTERNAL_RPC_ENDPOINTS = getExternalRpcEndpoints();
+// External RPCs used when none are configured. The first one is a
+// placeholder to copy, so no head watcher is started for it
+const DEFAULT_EXTERNAL_RPC_ENDPOINTS = [
+  {
+    key: 'external_1',
+    name: 'Proxy RPC 1',
+    url: 'http://your-proxy-server:9090',
+    ws_url: 'ws://your-proxy-server:9091',
+    description: 'Internal proxy RPC endpoint',
+  },
+  {
+    key: 'external_2',
+    name: 'HyperLiquid Testnet',
+    url: 'https://rpc.hyperliquid-testnet.xyz/evm',
+    ws_url: 'wss://rpc.hyperliquid-testnet.xyz/evm',
+    description: 'Official HyperLiquid testnet RPC',
+  },
+];
+const PLACEHOLDER_WS_URL = DEFAULT_EXTERNAL_RPC_ENDPOINTS[0].ws_url;
+
+// Replace ${VAR} references in config file strings with environment
+// variables, so API keys can stay out of the file
+function interpolateEnv(value) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{(\w+)\}/g, (match, name) =>
+      process.env[name] !== undefined ? process.env[name] : match
+    );
+  }
+  if (Array.isArray(value)) {
+    return value.map(interpolateEnv);
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, interpolateEnv(item)])
+    );
+  }
+  return value;
+}
+
+// Read and parse the config file (YAML or JSON by extension)
+function readConfigFile(file) {
+  const content = fs.readFileSync(file, 'utf8');
+  const parsed = /\.ya?ml$/i.test(file)
+    ? yaml.load(content)
+    : JSON.parse(content);
+  return parsed || {};
+}
 
-// Middleware
-app.use(express.json());
-app.use(express.static(path.join(__dirname, 'public')));
+// mtime of the last config file written by the monitor itself
+let configWrittenAt = null;
 
-// Helper function to test WebSocket connectivity
-async function testWebSocket(wsUrl, timeout = 5000) {
-  return new Promise((resolve) => {
-    console.log(`🔌 Testing WebSocket: ${wsUrl}`);
+// Write the config file atomically (YAML or JSON by extension)
+function writeConfigFile(file, raw) {
+  const content = /\.ya?ml$/i.test(file)
+    ? yaml.dump(raw, { lineWidth: -1 })
+    : JSON.stringify(raw, null, 2) + '\n';
 
-    const ws = new WebSocket(wsUrl);
-    let resolved = false;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(`${file}.tmp`, content);
+  fs.renameSync(`${file}.tmp`, file);
+  configWrittenAt = fs.statSync(file).mtimeMs;
+}
 
-    const timeoutId = setTimeout(() => {
-      if (!resolved) {
-        resolved = true;
-        ws.terminate();
-        resolve({
-          success: false,
-          error: 'WebSocket connection timeout',
-        });
+// Check a config value against a schema type; returns an error or null
+function checkConfigType(value, type) {
+  switch (type) {
+    case 'string':
+      return typeof value === 'string' ? null : 'must be a string';
+    case 'id':
+      return typeof value === 'number' || /^\d+$/.test(value)
+        ? null
+        : 'must be a numeric chain ID';
+    case 'number':
+      return Number.isFinite(Number(value)) &&
+        Number(value) >= 0 &&
+        value !== ''
+        ? null
+        : 'must be a non-negative number';
+    case 'boolean':
+      return typeof value === 'boolean' || value === 'true' || value === 'false'
+        ? null
+        : 'must be true or false';
+    case 'url':
+      try {
+        const { protocol } = new URL(value);
+        return ['http:', 'https:', 'ws:', 'wss:'].includes(protocol)
+          ? null
+          : 'must be an http(s) or ws(s) URL';
+      } catch (error) {
+        return 'must be a valid URL';
       }
-    }, timeout);
-
-    ws.on('open', () => {
-      if (!resolved) {
-        resolved = true;
-        clearTimeout(timeoutId);
-        ws.close();
-        resolve({
-          success: true,
-          message: 'WebSocket connection successful',
-        });
+    case 'api_key_mode':
+      return API_KEY_MODES.includes(value)
+        ? null
+        : `must be one of ${API_KEY_MODES.join(', ')}`;
+    case 'list':
+      return Array.isArray(value) ? null : 'must be a list';
+    case 'finite':
+      return Number.isFinite(Number(value)) && value !== ''
+        ? null
+        : 'must be a number';
+    case 'regex':
+      try {
+        new RegExp(value);
+        return null;
+      } catch (error) {
+        return 'must be a valid regular expression';
       }
-    });
+    case 'check_expect':
+      return CHECK_EXPECTATIONS.includes(value)
+        ? null
+        : `must be one of ${CHECK_EXPECTATIONS.join(', ')}`;
+    case 'checks': {
+      if (!Array.isArray(value)) return 'must be a list';
+      const errors = validateChecks(value);
+      return errors.length > 0 ? errors.join('; ') : null;
+    }
+    case 'address':
+      return /^0x[0-9a-fA-F]{40}$/.test(value)
+        ? null
+        : 'must be a 20-byte hex address';
+    case 'blocks':
+      return Array.isArray(value) &&
+        value.every((block) => /^\d+$/.test(String(block)))
+        ? null
+        : 'must be a list of block numbers';
+    case 'archive': {
+      if (typeof value === 'boolean' || value === 'true' || value === 'false') {
+        return null;
+      }
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        return 'must be true, false or an object';
+      }
+      const errors = [];
+      for (const [field, fieldValue] of Object.entries(value)) {
+        const fieldType = ARCHIVE_SCHEMA[field];
+        const error = fieldType
+          ? checkConfigType(fieldValue, fieldType)
+          : 'is an unknown field';
+        if (error) errors.push(`"${field}" ${error}`);
+      }
+      return errors.length > 0 ? errors.join('; ') : null;
+    }
+    default:
+      return null;
+  }
+}
 
-    ws.on('error', (error) => {
-      if (!resolved) {
-        resolved = true;
-        clearTimeout(timeoutId);
-        resolve({
-          success: false,
-          error: error.message,
-        });
+// Validate the declared checks of an endpoint and return a list of errors
+function validateChecks(checks) {
+  const errors = [];
+  const names = new Set();
+
+  checks.forEach((check, index) => {
+    const label = `check ${index}${check?.name ? ` (${check.name})` : ''}`;
+
+    if (!check || typeof check !== 'object' || Array.isArray(check)) {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+
+    if (!check.method) {
+      errors.push(`${label} is missing "method"`);
+    }
+
+    for (const [field, value] of Object.entries(check)) {
+      const type = CHECK_SCHEMA[field];
+      if (!type) {
+        errors.push(`${label} has unknown field "${field}"`);
+      } else if (value !== undefined && value !== null) {
+        const error = checkConfigType(value, type);
+        if (error) {
+          errors.push(`${label} "${field}" ${error}`);
+        }
       }
-    });
+    }
 
-    ws.on('close', () => {
-      // Connection closed normally
-    });
+    if (check.expect === 'regex' && !check.pattern) {
+      errors.push(`${label} needs a "pattern" for expect: regex`);
+    }
+    if (
+      check.expect === 'range' &&
+      (check.min === undefined || check.min === null) &&
+      (check.max === undefined || check.max === null)
+    ) {
+      errors.push(`${label} needs "min" and/or "max" for expect: range`);
+    }
+
+    const name = check.name || check.method;
+    if (BUILTIN_TESTS.includes(name)) {
+      errors.push(`${label} cannot use the built-in test name "${name}"`);
+    } else if (names.has(name)) {
+      errors.push(`${label} duplicates the check name "${name}"`);
+    }
+    names.add(name);
   });
+
+  return errors;
 }
 
-// Helper function to test external RPC endpoints (basic connectivity)
-async function testExternalRpc(rpcUrl, timeout = 5000) {
-  try {
-    console.log(`🔗 Testing external RPC: ${rpcUrl}`);
+// Main endpoints are served at /api/:endpointKey, so their keys cannot be
+// the names of the other API routes
+const RESERVED_ENDPOINT_KEYS = [
+  'alerts',
+  'chains',
+  'dashboard-config',
+  'endpoints',
+  'events',
+  'external',
+  'external-rpcs',
+  'history',
+  'incidents',
+  'proxy',
+  'sla',
+  'status',
+  'streams',
+  'test',
+  'usage',
+];
+
+// Validate a raw configuration ({ chains, endpoints, external_endpoints })
+// and return a list of readable errors
+function validateConfig(config) {
+  const errors = [];
+
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    return ['Configuration must be an object'];
+  }
 
-    const response = await axios.post(
-      rpcUrl,
-      {
-        jsonrpc: '2.0',
-        method: 'eth_blockNumber',
-        params: [],
-        id: 1,
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: timeout,
-      }
-    );
+  for (const section of Object.keys(config)) {
+    if (!CONFIG_SCHEMA[section]) {
+      errors.push(
+        `Unknown section "${section}" (expected ${Object.keys(
+          CONFIG_SCHEMA
+        ).join(', ')})`
+      );
+    }
+  }
 
-    if (response.data && response.data.result !== undefined) {
-      return {
-        success: true,
-        blockNumber: parseInt(response.data.result, 16),
-        responseTime: response.headers['x-response-time'] || 'N/A',
-      };
+  const sections = {};
+  for (const section of Object.keys(CONFIG_SCHEMA)) {
+    const entries = config[section] || [];
+    if (!Array.isArray(entries)) {
+      errors.push(`"${section}" must be a list`);
+      sections[section] = [];
+      continue;
     }
+    sections[section] = entries;
 
-    return {
-      success: false,
-      error: 'Invalid response format',
-    };
-  } catch (error) {
-    console.log(`💥 External RPC test error:`, error.message);
-    return {
-      success: false,
-      error: error.message,
-    };
-  }
-}
+    entries.forEach((entry, index) => {
+      const label = `${section}[${index}]${
+        entry?.key ? ` (${entry.key})` : ''
+      }`;
 
-// Helper function to make RPC calls
-async function makeRpcCall(rpcUrl, method, params = [], timeout = 10000) {
-  try {
-    console.log(`🔗 Making RPC call to ${rpcUrl}: ${method}`);
+      if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+        errors.push(`${label}: must be an object`);
+        return;
+      }
 
-    const response = await axios.post(
-      rpcUrl,
-      {
-        jsonrpc: '2.0',
-        method: method,
-        params: params,
-        id: 1,
-      },
-      {
-        headers: { 'Content-Type': 'application/json' },
-        timeout: timeout,
+      for (const field of CONFIG_REQUIRED_FIELDS[section]) {
+        if (entry[field] === undefined || entry[field] === '') {
+          errors.push(`${label}: missing required field "${field}"`);
+        }
       }
-    );
 
-    console.log(`📡 RPC response:`, response.data);
+      for (const [field, value] of Object.entries(entry)) {
+        const type = CONFIG_SCHEMA[section][field];
+        if (!type) {
+          errors.push(`${label}: unknown field "${field}"`);
+        } else if (value !== undefined && value !== null) {
+          const error = checkConfigType(value, type);
+          if (error) {
+            errors.push(`${label}: "${field}" ${error}`);
+          }
+        }
+      }
+    });
+  }
 
-    if (response.data && response.data.result !== undefined) {
-      return {
-        success: true,
-        result: response.data.result,
-        error: response.data.error,
-      };
+  // Keys must be unique: main and external endpoints share the history API
+  const seen = new Map();
+  const checkDuplicate = (section, index, key) => {
+    const label = `${section}[${index}]`;
+    if (seen.has(key)) {
+      errors.push(
+        `${label}: duplicate key "${key}" (already used by ${seen.get(key)})`
+      );
+    } else {
+      seen.set(key, label);
+    }
+  };
+  sections.endpoints.forEach((entry, index) => {
+    const key = entry?.key || `rpc_${index + 1}`;
+    checkDuplicate('endpoints', index, key);
+    if (RESERVED_ENDPOINT_KEYS.includes(key)) {
+      errors.push(
+        `endpoints[${index}]: key "${key}" is reserved for the /api/${key} route`
+      );
     }
+  });
+  sections.external_endpoints.forEach((entry, index) =>
+    checkDuplicate(
+      'external_endpoints',
+      index,
+      entry?.key || `external_${index + 1}`
+    )
+  );
 
-    return {
-      success: false,
-      error: 'Invalid response format',
-    };
-  } catch (error) {
-    console.log(`💥 RPC call error:`, error.message);
-    return {
-      success: false,
-      error: error.message,
-    };
+  const chainKeys = new Set();
+  sections.chains.forEach((entry, index) => {
+    if (chainKeys.has(entry?.key)) {
+      errors.push(`chains[${index}]: duplicate key "${entry.key}"`);
+    }
+    chainKeys.add(entry?.key);
+  });
+
+  const endpointKeys = new Set(
+    sections.endpoints.map((entry, index) => entry?.key || `rpc_${index + 1}`)
+  );
+
+  // References to other endpoints and chains must exist
+  sections.endpoints.forEach((entry, index) => {
+    const key = entry?.key || `rpc_${index + 1}`;
+    const label = `endpoints[${index}] (${key})`;
+
+    if (entry?.compare_with !== undefined && entry?.compare_with !== null) {
+      if (entry.compare_with === key) {
+        errors.push(`${label}: compare_with cannot be the endpoint itself`);
+      } else if (!endpointKeys.has(entry.compare_with)) {
+        errors.push(
+          `${label}: compare_with "${entry.compare_with}" does not match any endpoint key`
+        );
+      }
+    }
+  });
+
+  if (chainKeys.size > 0) {
+    for (const section of ['endpoints', 'external_endpoints']) {
+      sections[section].forEach((entry, index) => {
+        if (entry?.chain && !chainKeys.has(entry.chain)) {
+          errors.push(
+            `${section}[${index}]${
+              entry.key ? ` (${entry.key})` : ''
+            }: chain "${entry.chain}" does not match any chain key`
+          );
+        }
+      });
+    }
   }
+
+  sections.chains.forEach((entry, index) => {
+    if (entry?.reference && !endpointKeys.has(entry.reference)) {
+      errors.push(
+        `chains[${index}] (${entry.key}): reference "${entry.reference}" does not match any endpoint key`
+      );
+    }
+  });
+
+  return errors;
 }
 
-// Get block number from RPC
-async function getBlockNumber(rpcUrl, rpcName) {
-  const result = await makeRpcCall(rpcUrl, 'eth_blockNumber');
+// Build chain groups from raw config entries
+function buildChainGroups(entries) {
+  const chains = {};
 
-  if (result.success) {
-    const blockHex = result.result;
-    const blockDecimal = parseInt(blockHex, 16);
-    console.log(`✅ ${rpcName} block: ${blockDecimal} (${blockHex})`);
-    return {
-      success: true,
-      block: blockDecimal,
-      hex: blockHex,
+  for (const entry of entries) {
+    chains[entry.key] = {
+      key: entry.key,
+      name: entry.name || entry.key,
+      chain_id: entry.chain_id ? String(entry.chain_id) : null,
+      reference: entry.reference || null,
     };
   }
 
-  console.log(`❌ ${rpcName} failed: ${result.error}`);
-  return { success: false, error: result.error };
+  return chains;
 }
 
-// Get chain ID from RPC
-async function getChainId(rpcUrl, rpcName) {
-  const result = await makeRpcCall(rpcUrl, 'eth_chainId');
+// Build main RPC endpoints (keyed by endpoint key) from raw config entries
+function buildRpcEndpoints(entries, chains) {
+  const endpoints = {};
 
-  if (result.success) {
-    const chainIdHex = result.result;
-    const chainIdDecimal = parseInt(chainIdHex, 16);
-    console.log(`✅ ${rpcName} chain ID: ${chainIdDecimal} (${chainIdHex})`);
-    return {
-      success: true,
-      chainId: chainIdDecimal,
-      hex: chainIdHex,
+  entries.forEach((entry, index) => {
+    const key = entry.key || `rpc_${index + 1}`;
+    const apiKeyMode = entry.api_key_mode || 'path';
+    const rpcAuth = applyApiKey(
+      entry.url,
+      entry.api_key,
+      apiKeyMode,
+      entry.api_key_param
+    );
+    const wsAuth = applyApiKey(
+      entry.ws_url,
+      entry.api_key,
+      apiKeyMode,
+      entry.api_key_param
+    );
+    const chainGroup = chains[entry.chain];
+
+    endpoints[key] = {
+      name: entry.name,
+      url: rpcAuth.url,
+      ws_url: wsAuth.url || null,
+      headers: rpcAuth.headers,
+      auth_mode: entry.api_key ? apiKeyMode : null,
+      display_url: entry.display_url || redactUrl(entry.url),
+      expected_chain_id: String(
+        entry.chain_id || chainGroup?.chain_id || '998'
+      ),
+      chain: entry.chain || null,
+      timeout: parseInt(entry.timeout) || RPC_TIMEOUT,
+      compare_with: entry.compare_with || null,
+      system_monitor_url: entry.system_url || null,
+      is_reference:
+        entry.is_reference === true || entry.is_reference === 'true',
+      poll_interval: parseInt(entry.poll_interval) || POLL_INTERVAL,
+      block_stall_after:
+        entry.block_stall_after !== undefined && entry.block_stall_after !== ''
+          ? parseInt(entry.block_stall_after)
+          : BLOCK_STALL_AFTER,
+      max_calls_per_minute: parseInt(entry.max_calls_per_minute) || null,
+      max_calls_per_day: parseInt(entry.max_calls_per_day) || null,
+      checks: buildEndpointChecks(entry.checks),
+      archive: buildArchiveConfig(entry.archive),
     };
+  });
+
+  return endpoints;
+}
+
+// Archive verification settings of an endpoint, or null when disabled
+function buildArchiveConfig(archive) {
+  if (!archive || archive === 'false') {
+    return null;
   }
 
-  console.log(`❌ ${rpcName} chain ID failed: ${result.error}`);
-  return { success: false, error: result.error };
+  const settings = typeof archive === 'object' ? archive : {};
+  return {
+    blocks: Array.isArray(settings.blocks)
+      ? settings.blocks.map((block) => parseInt(block))
+      : null,
+    samples: parseInt(settings.samples) || 3,
+    address: settings.address || '0x0000000000000000000000000000000000000000',
+    storage_slot: settings.storage_slot || '0x0',
+    call_data: settings.call_data || '0x',
+    trace: settings.trace === true || settings.trace === 'true',
+    trace_transaction: settings.trace_transaction || null,
+    interval: parseInt(settings.interval) || ARCHIVE_CHECK_INTERVAL,
+  };
 }
 
-// Get gas price from RPC
-async function getGasPrice(rpcUrl, rpcName) {
-  const result = await makeRpcCall(rpcUrl, 'eth_gasPrice');
+// Normalize the declared checks of an endpoint
+function buildEndpointChecks(checks) {
+  if (!Array.isArray(checks)) {
+    return [];
+  }
+
+  return checks
+    .filter((check) => check && check.method)
+    .map((check) => ({
+      name: check.name || check.method,
+      method: check.method,
+      params: Array.isArray(check.params) ? check.params : [],
+      expect: check.expect || 'non_null',
+      pattern: check.pattern || null,
+      min:
+        check.min !== undefined && check.min !== null
+          ? Number(check.min)
+          : null,
+      max:
+        check.max !== undefined && check.max !== null
+          ? Number(check.max)
+          : null,
+      weight:
+        check.weight !== undefined && check.weight !== null
+          ? Number(check.weight)
+          : 1,
+      critical: check.critical === true || check.critical === 'true',
+    }));
+}
+
+// Build external RPC endpoints from raw config entries
+function buildExternalRpcEndpoints(entries) {
+  return entries.map((entry, index) => {
+    const baseWsUrl =
+      entry.ws_url ||
+      entry.url.replace('http://', 'ws://').replace('https://', 'wss://');
+    const apiKeyMode = entry.api_key_mode || 'path';
+
+    // Add API key to URLs or headers if provided
+    const rpcAuth = applyApiKey(
+      entry.url,
+      entry.api_key,
+      apiKeyMode,
+      entry.api_key_param
+    );
+    const wsAuth = applyApiKey(
+      baseWsUrl,
+      entry.api_key,
+      apiKeyMode,
+      entry.api_key_param
+    );
 
-  if (result.success) {
-    const gasPriceHex = result.result;
-    const gasPriceDecimal = parseInt(gasPriceHex, 16);
-    const gasPriceGwei = (gasPriceDecimal / 1e9).toFixed(2);
-    console.log(`✅ ${rpcName} gas price: ${gasPriceGwei} Gwei`);
     return {
-      success: true,
-      gasPrice: gasPriceDecimal,
-      gasPriceGwei: gasPriceGwei,
-      hex: gasPriceHex,
+      key: entry.key || `external_${index + 1}`,
+      name: entry.name,
+      rpcUrl: rpcAuth.url,
+      wsUrl: wsAuth.url,
+      headers: rpcAuth.headers,
+      description: entry.description || `External RPC endpoint ${index + 1}`,
+      chain: entry.chain || null,
+      showInUI: entry.show_in_ui !== false && entry.show_in_ui !== 'false',
+      pollInterval: parseInt(entry.poll_interval) || POLL_INTERVAL,
+      maxCallsPerMinute: parseInt(entry.max_calls_per_minute) || null,
+      maxCallsPerDay: parseInt(entry.max_calls_per_day) || null,
+      timeout: parseInt(entry.timeout) || 5000,
+      // For display purposes, show original URL without API key
+      displayRpcUrl: redactUrl(entry.url),
+      displayWsUrl: redactUrl(baseWsUrl),
     };
+  });
+}
+
+// Load the configuration from the config file, or from environment variables.
+// Returns { success, source, raw, config } or { success: false, source, errors }
+function loadConfig() {
+  if (CONFIG_FILE) {
+    let raw;
+    try {
+      raw = readConfigFile(CONFIG_FILE);
+    } catch (error) {
+      return {
+        success: false,
+        source: CONFIG_FILE,
+        errors: [`Cannot read ${CONFIG_FILE}: ${error.message}`],
+      };
+    }
+
+    return buildConfig(raw, CONFIG_FILE);
   }
 
-  console.log(`❌ ${rpcName} gas price failed: ${result.error}`);
-  return { success: false, error: result.error };
+  const raw = {
+    chains: getChainGroups(),
+    endpoints: getRpcEndpoints(),
+    external_endpoints: getExternalRpcEndpoints(),
+  };
+  return buildConfig(raw, 'environment');
 }
 
-// Get sync status from RPC
-async function getSyncStatus(rpcUrl, rpcName) {
-  const result = await makeRpcCall(rpcUrl, 'eth_syncing');
+// Validate a raw configuration and build the chain groups and endpoints
+function buildConfig(raw, source) {
+  const resolved = interpolateEnv(raw);
+  const errors = validateConfig(resolved);
 
-  if (result.success) {
-    const syncData = result.result;
-    if (syncData === false) {
-      console.log(`✅ ${rpcName} is not syncing`);
-      return {
-        success: true,
-        syncing: false,
-        data: null,
-      };
+  if (errors.length > 0) {
+    return { success: false, source, errors };
+  }
+
+  const chains = buildChainGroups(resolved.chains || []);
+  return {
+    success: true,
+    source,
+    raw,
+    config: {
+      chains,
+      endpoints: buildRpcEndpoints(resolved.endpoints || [], chains),
+      externalEndpoints: buildExternalRpcEndpoints(
+        resolved.external_endpoints || []
+      ),
+    },
+  };
+}
+
+// Whether endpoints or chains are configured through environment variables
+function hasEnvEndpointConfig() {
+  return Object.keys(process.env).some((name) =>
+    /^(RPC|EXTERNAL_RPC|CHAIN)_\d+_/.test(name)
+  );
+}
+
+// Active configuration. Replaced as a whole when the config file is reloaded
+// or endpoints are changed through the API. CONFIG_RAW is the configuration
+// as written in the file, before ${VAR} substitution
+let CONFIG_SOURCE = null;
+let CONFIG_RAW = null;
+let CHAIN_GROUPS = {};
+let RPC_ENDPOINTS = {};
+let EXTERNAL_RPC_ENDPOINTS = [];
+
+// Make a loaded configuration the active one
+function applyConfig(loaded) {
+  CONFIG_SOURCE = loaded.source;
+  CONFIG_RAW = loaded.raw;
+  CHAIN_GROUPS = loaded.config.chains;
+  RPC_ENDPOINTS = loaded.config.endpoints;
+  EXTERNAL_RPC_ENDPOINTS = loaded.config.externalEndpoints;
+  resolveChainGroups();
+}
+
+// Add a chain group that was not configured explicitly
+function addChainGroup(key, chainId) {
+  if (!CHAIN_GROUPS[key]) {
+    CHAIN_GROUPS[key] = {
+      key: key,
+      name: key === String(chainId) ? `Chain ${chainId}` : key,
+      chain_id: chainId || null,
+      reference: null,
+    };
+  }
+  return CHAIN_GROUPS[key];
+}
+
+// Assign every endpoint to a chain group, pick each chain's reference node
+// and make sure block differences are only ever compared within a chain
+function resolveChainGroups() {
+  const endpoints = Object.entries(RPC_ENDPOINTS);
+  const configuredChains = Object.keys(CHAIN_GROUPS).length;
+
+  // Endpoints without a chain join the group with their chain ID
+  for (const [key, endpoint] of endpoints) {
+    if (!endpoint.chain) {
+      const group = Object.values(CHAIN_GROUPS).find(
+        (chain) => chain.chain_id === endpoint.expected_chain_id
+      );
+      endpoint.chain = group
+        ? group.key
+        : addChainGroup(endpoint.expected_chain_id, endpoint.expected_chain_id)
+            .key;
     } else {
-      console.log(`⏳ ${rpcName} is syncing:`, syncData);
-      return {
-        success: true,
-        syncing: true,
-        data: syncData,
-      };
+      addChainGroup(endpoint.chain, endpoint.expected_chain_id);
+    }
+  }
+
+  // A single unconfigured chain keeps the name from the legacy CHAIN variable
+  const chains = Object.values(CHAIN_GROUPS);
+  if (chains.length === 1 && process.env.CHAIN && configuredChains === 0) {
+    chains[0].name = process.env.CHAIN;
+  }
+
+  for (const chain of chains) {
+    const members = endpoints.filter(
+      ([key, endpoint]) => endpoint.chain === chain.key
+    );
+
+    if (
+      chain.reference &&
+      RPC_ENDPOINTS[chain.reference]?.chain !== chain.key
+    ) {
+      console.log(
+        `⚠️ Reference ${chain.reference} is not an endpoint of chain ${chain.key}, ignoring`
+      );
+      chain.reference = null;
+    }
+
+    // Fall back to the first endpoint of the chain marked as reference
+    if (!chain.reference) {
+      const reference = members.find(
+        ([key, endpoint]) => endpoint.is_reference
+      );
+      chain.reference = reference ? reference[0] : null;
+    }
+
+    for (const [key, endpoint] of members) {
+      endpoint.is_reference = key === chain.reference;
+
+      if (
+        endpoint.compare_with &&
+        RPC_ENDPOINTS[endpoint.compare_with]?.chain !== chain.key
+      ) {
+        console.log(
+          `⚠️ ${key} cannot compare with ${endpoint.compare_with}, which is not an endpoint of chain ${chain.key}, ignoring`
+        );
+        endpoint.compare_with = null;
+      }
+
+      // Compare with the chain's reference node unless configured otherwise
+      if (
+        !endpoint.compare_with &&
+        chain.reference &&
+        key !== chain.reference
+      ) {
+        endpoint.compare_with = chain.reference;
+      }
+    }
+  }
+
+  // External RPCs without a chain belong to the first chain
+  const defaultChain = Object.keys(CHAIN_GROUPS)[0] || null;
+  for (const endpoint of EXTERNAL_RPC_ENDPOINTS) {
+    if (!endpoint.chain) {
+      endpoint.chain = defaultChain;
+    } else {
+      addChainGroup(endpoint.chain, null);
+    }
+  }
+}
+
+// Supported alert rule types. `evaluate` returns { firing, value } or null
+// when the rule does not apply to the result (e.g. no block difference)
+const ALERT_RULE_TYPES = {
+  block_lag: {
+    description: 'Block lag above threshold',
+    defaultThreshold: 10,
+    evaluate: (rule, result) =>
+      result.blockDifference
+        ? {
+            firing: result.blockDifference.difference > rule.threshold,
+            value: result.blockDifference.difference,
+          }
+        : null,
+  },
+  chain_id_mismatch: {
+    description: 'Chain ID mismatch',
+    defaultThreshold: null,
+    evaluate: (rule, result, endpoint) =>
+      endpoint?.expected_chain_id && result.tests?.chainId?.success
+        ? {
+            firing:
+              result.tests.chainId.chainId !==
+              parseInt(endpoint.expected_chain_id),
+            value: result.tests.chainId.chainId,
+          }
+        : null,
+  },
+  health_score: {
+    description: 'Health score below threshold',
+    defaultThreshold: HEALTH_DEGRADED_THRESHOLD,
+    evaluate: (rule, result) =>
+      result.health
+        ? {
+            firing: result.health.score < rule.threshold,
+            value: result.health.score,
+          }
+        : null,
+  },
+  endpoint_down: {
+    description: 'Endpoint not responding',
+    defaultThreshold: null,
+    evaluate: (rule, result) =>
+      result.tests
+        ? {
+            firing: isDownFailure(result.tests.blockNumber),
+            value: result.tests.blockNumber?.error || null,
+          }
+        : {
+            firing:
+              isDownFailure(result.rpc) || isDownFailure(result.websocket),
+            value: result.rpc?.error || result.websocket?.error || null,
+          },
+  },
+  rate_limited: {
+    description: 'Requests rate limited by the provider',
+    defaultThreshold: null,
+    evaluate: (rule, result) => {
+      const limited = getRateLimitedTests(result);
+      return { firing: limited.length > 0, value: limited.join(', ') || null };
+    },
+  },
+  system_disk: {
+    description: 'System disk usage above threshold',
+    defaultThreshold: 90,
+    evaluate: (rule, result) =>
+      evaluateSystemUsage(rule, result.system?.disk?.usage_percent),
+  },
+  system_ram: {
+    description: 'System RAM usage above threshold',
+    defaultThreshold: 90,
+    evaluate: (rule, result) =>
+      evaluateSystemUsage(rule, result.system?.ram?.percentage),
+  },
+  system_cpu: {
+    description: 'System CPU usage above threshold',
+    defaultThreshold: 90,
+    evaluate: (rule, result) =>
+      evaluateSystemUsage(rule, result.system?.cpu?.usage),
+  },
+};
+
+// Compare a system resource percentage against a rule threshold
+function evaluateSystemUsage(rule, value) {
+  const usage = parseFloat(value);
+  return isNaN(usage) ? null : { firing: usage > rule.threshold, value: usage };
+}
+
+// Alert rules evaluated against every probe result
+// Configuration via environment variables:
+// ALERT_1_TYPE, ALERT_1_THRESHOLD, ALERT_1_FOR, ALERT_1_ENDPOINTS, etc.
+function getAlertRules() {
+  const rules = [];
+
+  // Check for up to 20 alert rules
+  for (let i = 1; i <= 20; i++) {
+    const type = process.env[`ALERT_${i}_TYPE`];
+    const name = process.env[`ALERT_${i}_NAME`];
+    const threshold = process.env[`ALERT_${i}_THRESHOLD`];
+    const forChecks = process.env[`ALERT_${i}_FOR`];
+    const resolveAfter = process.env[`ALERT_${i}_RESOLVE_AFTER`];
+    const endpoints = process.env[`ALERT_${i}_ENDPOINTS`];
+    const severity = process.env[`ALERT_${i}_SEVERITY`];
+    const notify = process.env[`ALERT_${i}_NOTIFY`];
+    const repeatInterval = process.env[`ALERT_${i}_REPEAT_INTERVAL`];
+
+    if (!type) continue;
+
+    if (!ALERT_RULE_TYPES[type]) {
+      console.log(`⚠️ Ignoring ALERT_${i}: unknown type '${type}'`);
+      continue;
+    }
+
+    rules.push({
+      id: `alert_${i}`,
+      type: type,
+      name: name || ALERT_RULE_TYPES[type].description,
+      threshold:
+        threshold !== undefined && threshold !== ''
+          ? parseFloat(threshold)
+          : ALERT_RULE_TYPES[type].defaultThreshold,
+      for: parseInt(forChecks) || 1,
+      resolve_after: parseInt(resolveAfter) || 1,
+      endpoints: endpoints
+        ? endpoints.split(',').map((key) => key.trim())
+        : null,
+      severity: severity || 'warning',
+      notify: notify ? notify.split(',').map((item) => item.trim()) : null,
+      repeat_interval: parseInt(repeatInterval) || 0,
+    });
+  }
+
+  return rules;
+}
+
+// Alert notification targets
+// Configuration via environment variables:
+// NOTIFIER_1_NAME, NOTIFIER_1_TYPE (webhook, slack, email), NOTIFIER_1_URL, NOTIFIER_1_TO
+function getAlertNotifiers() {
+  const notifiers = [];
+
+  // Check for up to 10 notifiers
+  for (let i = 1; i <= 10; i++) {
+    const type = process.env[`NOTIFIER_${i}_TYPE`];
+    const name = process.env[`NOTIFIER_${i}_NAME`] || `notifier_${i}`;
+    const url = process.env[`NOTIFIER_${i}_URL`];
+    const to = process.env[`NOTIFIER_${i}_TO`];
+
+    if (!type) continue;
+
+    if (!['webhook', 'slack', 'email'].includes(type)) {
+      console.log(`⚠️ Ignoring NOTIFIER_${i}: unknown type '${type}'`);
+      continue;
+    }
+
+    if (type === 'email' ? !to : !url) {
+      console.log(
+        `⚠️ Ignoring NOTIFIER_${i}: ${type === 'email' ? 'TO' : 'URL'} missing`
+      );
+      continue;
+    }
+
+    notifiers.push({ name, type, url: url || null, to: to || null });
+  }
+
+  return notifiers;
+}
+
+const ALERT_RULES = getAlertRules();
+const ALERT_NOTIFIERS = getAlertNotifiers();
+
+// Roles in increasing order of access: viewers can read the dashboard and API
+// with redacted URLs, admins can also see the configuration and manage endpoints
+const ROLES = ['viewer', 'admin'];
+
+// Helper function to read a role from the environment
+function parseRole(value, name, fallback) {
+  if (!value) return fallback;
+  if (ROLES.includes(value)) return value;
+  console.log(
+    `⚠️ Unknown role '${value}' for ${name}, using '${fallback || 'none'}'`
+  );
+  return fallback;
+}
+
+// API tokens (AUTH_TOKEN_{N}, sent as `Authorization: Bearer <token>`) and
+// dashboard users (AUTH_USER_{N}, sent with HTTP basic auth). ADMIN_TOKEN is
+// kept as a shorthand for an admin token
+function getAuthCredentials() {
+  const tokens = [];
+  const users = [];
+
+  if (process.env.ADMIN_TOKEN) {
+    tokens.push({
+      name: 'ADMIN_TOKEN',
+      secret: process.env.ADMIN_TOKEN,
+      role: 'admin',
+    });
+  }
+
+  // Check for up to 20 tokens and users
+  for (let i = 1; i <= 20; i++) {
+    const token = process.env[`AUTH_TOKEN_${i}`];
+    if (token) {
+      tokens.push({
+        name: process.env[`AUTH_TOKEN_${i}_NAME`] || `token_${i}`,
+        secret: token,
+        role: parseRole(
+          process.env[`AUTH_TOKEN_${i}_ROLE`],
+          `AUTH_TOKEN_${i}`,
+          'viewer'
+        ),
+      });
+    }
+
+    const user = process.env[`AUTH_USER_${i}`];
+    const password = process.env[`AUTH_USER_${i}_PASSWORD`];
+    if (user && !password) {
+      console.log(`⚠️ Ignoring AUTH_USER_${i}: PASSWORD missing`);
+    } else if (user) {
+      users.push({
+        name: user,
+        secret: password,
+        role: parseRole(
+          process.env[`AUTH_USER_${i}_ROLE`],
+          `AUTH_USER_${i}`,
+          'viewer'
+        ),
+      });
+    }
+  }
+
+  for (const credential of [...tokens, ...users]) {
+    KNOWN_SECRETS.add(credential.secret);
+  }
+
+  return { tokens, users };
+}
+
+const AUTH_CREDENTIALS = getAuthCredentials();
+
+// Authentication is enabled as soon as any token or user is configured
+const AUTH_ENABLED =
+  AUTH_CREDENTIALS.tokens.length + AUTH_CREDENTIALS.users.length > 0;
+
+// Role given to requests without credentials once authentication is enabled
+// ('none' requires credentials for everything except /health)
+const AUTH_ANONYMOUS_ROLE =
+  process.env.AUTH_ANONYMOUS_ROLE === 'none'
+    ? null
+    : parseRole(process.env.AUTH_ANONYMOUS_ROLE, 'AUTH_ANONYMOUS_ROLE', null);
+
+// Routes that stay open for container health checks
+const AUTH_PUBLIC_PATHS = ['/health'];
+
+// Compare two secrets in constant time
+function secretsMatch(given, expected) {
+  const a = Buffer.from(given);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Helper function to find the credential matching an Authorization header
+function authenticateHeader(header) {
+  const [scheme, value = ''] = header.split(' ');
+
+  if (/^bearer$/i.test(scheme)) {
+    return AUTH_CREDENTIALS.tokens.find((token) =>
+      secretsMatch(value, token.secret)
+    );
+  }
+
+  if (/^basic$/i.test(scheme)) {
+    const decoded = Buffer.from(value, 'base64').toString();
+    const separator = decoded.indexOf(':');
+    const name = decoded.slice(0, separator);
+    const password = decoded.slice(separator + 1);
+    return AUTH_CREDENTIALS.users.find(
+      (user) =>
+        separator !== -1 &&
+        user.name === name &&
+        secretsMatch(password, user.secret)
+    );
+  }
+
+  return undefined;
+}
+
+// Answer 401, asking browsers for basic auth when dashboard users exist
+function rejectUnauthenticated(res, error) {
+  if (AUTH_CREDENTIALS.users.length > 0) {
+    res.set('WWW-Authenticate', 'Basic realm="RPC Monitor", charset="UTF-8"');
+  }
+  res.status(401).json({ error });
+}
+
+// Set req.auth = { name, role } from the request credentials. Without
+// configured credentials every request is an anonymous viewer
+function authenticate(req, res, next) {
+  if (!AUTH_ENABLED) {
+    req.auth = { name: 'anonymous', role: 'viewer' };
+    return next();
+  }
+
+  if (AUTH_PUBLIC_PATHS.includes(req.path)) {
+    return next();
+  }
+
+  const header = req.get('Authorization');
+  if (!header) {
+    if (!AUTH_ANONYMOUS_ROLE) {
+      return rejectUnauthenticated(res, 'Authentication required');
+    }
+    req.auth = { name: 'anonymous', role: AUTH_ANONYMOUS_ROLE };
+    return next();
+  }
+
+  const credential = authenticateHeader(header);
+  if (!credential) {
+    console.log(
+      `🔒 Rejected invalid credentials for ${req.method} ${req.path}`
+    );
+    return rejectUnauthenticated(res, 'Invalid credentials');
+  }
+
+  req.auth = { name: credential.name, role: credential.role };
+  next();
+}
+
+// Helper function to check whether a request has at least the given role
+function hasRole(req, role) {
+  return !!req.auth && ROLES.indexOf(req.auth.role) >= ROLES.indexOf(role);
+}
+
+// Only allow requests with at least the given role. Without authentication
+// configured, routes that only need a role when auth is on stay open unless
+// `requireCredentials` is set, e.g. for endpoint management
+function requireRole(role, { requireCredentials = false } = {}) {
+  return (req, res, next) => {
+    if (!AUTH_ENABLED && !requireCredentials) {
+      return next();
+    }
+
+    const configured = [
+      ...AUTH_CREDENTIALS.tokens,
+      ...AUTH_CREDENTIALS.users,
+    ].some(
+      (credential) => ROLES.indexOf(credential.role) >= ROLES.indexOf(role)
+    );
+    if (!configured) {
+      return res.status(403).json({
+        error: `No ${role} credentials configured`,
+        message: `Set ADMIN_TOKEN or an AUTH_TOKEN_{N}/AUTH_USER_{N} with role ${role} to enable this route`,
+      });
+    }
+
+    if (!hasRole(req, role)) {
+      return res.status(403).json({ error: `Requires the ${role} role` });
+    }
+
+    next();
+  };
+}
+
+// Middleware
+app.use(express.json());
+app.use(authenticate);
+app.use(express.static(path.join(__dirname, 'public')));
+
+// Helper function to test WebSocket connectivity and newHeads subscriptions.
+// Connects within `timeout` ms, sends eth_subscribe('newHeads') and waits up to
+// WS_PROBE_TIMEOUT ms for WS_PROBE_HEADS headers. Reports the time to the
+// first head and the interval between heads
+async function testWebSocket(wsUrl, timeout = 5000, headers = {}) {
+  return new Promise((resolve) => {
+    console.log(`🔌 Testing WebSocket: ${redactUrl(wsUrl)}`);
+
+    const startTime = performance.now();
+    const elapsed = () => Math.round(performance.now() - startTime);
+    const ws = new WebSocket(wsUrl, { headers });
+    const heads = [];
+    let connectTime = null;
+    let subscribedAt = null;
+    let subscriptionId = null;
+    let resolved = false;
+    let timeoutId;
+
+    const finish = (error) => {
+      if (resolved) return;
+      resolved = true;
+      clearTimeout(timeoutId);
+      ws.terminate();
+
+      const intervals = heads
+        .slice(1)
+        .map((head, index) => head.receivedAt - heads[index].receivedAt);
+      const lastHead = heads[heads.length - 1];
+
+      resolve({
+        success: heads.length > 0,
+        ...(heads.length > 0
+          ? { message: `Received ${heads.length} newHeads` }
+          : { error }),
+        ...(heads.length > 0 &&
+          heads.length < WS_PROBE_HEADS && { warning: error }),
+        connectTime: connectTime,
+        subscriptionId: subscriptionId,
+        headsExpected: WS_PROBE_HEADS,
+        headsReceived: heads.length,
+        headNumber: lastHead ? lastHead.number : null,
+        timeToFirstHead:
+          heads.length > 0 ? heads[0].receivedAt - subscribedAt : null,
+        headCadence:
+          intervals.length > 0
+            ? {
+                avg: Math.round(
+                  intervals.reduce((sum, interval) => sum + interval, 0) /
+                    intervals.length
+                ),
+                min: Math.min(...intervals),
+                max: Math.max(...intervals),
+              }
+            : null,
+      });
+    };
+
+    timeoutId = setTimeout(
+      () => finish('WebSocket connection timeout'),
+      timeout
+    );
+
+    ws.on('open', () => {
+      connectTime = elapsed();
+      clearTimeout(timeoutId);
+      timeoutId = setTimeout(
+        () =>
+          finish(
+            subscriptionId
+              ? `Received ${heads.length} of ${WS_PROBE_HEADS} newHeads within ${WS_PROBE_TIMEOUT}ms`
+              : 'eth_subscribe timeout'
+          ),
+        WS_PROBE_TIMEOUT
+      );
+
+      subscribedAt = elapsed();
+      ws.send(
+        JSON.stringify({
+          jsonrpc: '2.0',
+          method: 'eth_subscribe',
+          params: ['newHeads'],
+          id: 1,
+        })
+      );
+    });
+
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        return finish('Invalid JSON from WebSocket');
+      }
+
+      if (message.id === 1) {
+        if (message.error) {
+          return finish(
+            `eth_subscribe failed: ${message.error.message || 'unknown error'}`
+          );
+        }
+        subscriptionId = message.result;
+        return;
+      }
+
+      const head = message.params?.result;
+      if (
+        message.method === 'eth_subscription' &&
+        message.params.subscription === subscriptionId &&
+        head?.number
+      ) {
+        heads.push({
+          number: parseInt(head.number, 16),
+          receivedAt: elapsed(),
+        });
+        if (heads.length >= WS_PROBE_HEADS) {
+          finish();
+        }
+      }
+    });
+
+    ws.on('error', (error) => finish(redactSecrets(error.message)));
+
+    ws.on('close', () => {
+      finish(
+        subscriptionId
+          ? 'WebSocket closed before all newHeads arrived'
+          : 'WebSocket closed'
+      );
+    });
+  });
+}
+
+// Helper function to test external RPC endpoints (basic connectivity)
+async function testExternalRpc(rpcUrl, timeout = 5000, headers = {}) {
+  console.log(`🔗 Testing external RPC: ${redactUrl(rpcUrl)}`);
+
+  const result = await makeRpcCall(
+    rpcUrl,
+    'eth_blockNumber',
+    [],
+    timeout,
+    headers
+  );
+
+  if (result.success) {
+    return {
+      success: true,
+      blockNumber: parseInt(result.result, 16),
+      responseTime: result.latency.total,
+      latency: result.latency,
+    };
+  }
+
+  console.log(`💥 External RPC test error:`, result.error);
+  return getRpcFailure(result);
+}
+
+// Create a one-off HTTP(S) agent that records connection timings.
+// Timings are milliseconds since `startTime`: dns (lookup done), connect
+// (TCP connected), tls (handshake done) and ttfb (first response byte).
+function createTimingAgent(rpcUrl, startTime, timings) {
+  const agent = rpcUrl.startsWith('https')
+    ? new https.Agent({ keepAlive: false })
+    : new http.Agent({ keepAlive: false });
+  const createConnection = agent.createConnection.bind(agent);
+  const elapsed = () => Math.round((performance.now() - startTime) * 10) / 10;
+
+  agent.createConnection = (options, callback) => {
+    const socket = createConnection(options, callback);
+    socket.once('lookup', () => (timings.dns = elapsed()));
+    socket.once('connect', () => (timings.connect = elapsed()));
+    socket.once('secureConnect', () => (timings.tls = elapsed()));
+    socket.once('data', () => (timings.ttfb = elapsed()));
+    return socket;
+  };
+
+  return agent;
+}
+
+// JSON-RPC request ids, unique across all calls
+let rpcRequestId = 0;
+
+// Calls made in the same tick to the same URL, waiting to be sent as one
+// batch, keyed by URL, headers and timeout
+const pendingRpcBatches = new Map();
+
+// In-flight calls, keyed by URL, headers, method and params, so identical
+// concurrent calls share one request
+const inflightRpcCalls = new Map();
+
+// When a URL last rejected a batch request
+const batchUnsupportedUrls = new Map();
+
+// HTTP statuses with which endpoints refuse a batch request itself. Other
+// 4xx errors (bad API key, wrong path) fail the calls instead
+const BATCH_REJECTION_STATUSES = [400, 413, 415, 422];
+
+// Helper function to make RPC calls. Calls to the same URL made in the same
+// tick are sent as one JSON-RPC batch where the endpoint supports it, and
+// identical concurrent calls are coalesced into one request
+function makeRpcCall(
+  rpcUrl,
+  method,
+  params = [],
+  timeout = 10000,
+  headers = {}
+) {
+  const callKey = JSON.stringify([rpcUrl, headers, method, params]);
+  if (inflightRpcCalls.has(callKey)) {
+    return inflightRpcCalls.get(callKey);
+  }
+
+  const unsupportedAt = batchUnsupportedUrls.get(rpcUrl);
+  const batch =
+    RPC_BATCH_ENABLED &&
+    !(unsupportedAt && Date.now() - unsupportedAt < RPC_BATCH_RETRY_INTERVAL);
+  const promise = batch
+    ? queueBatchedRpcCall(rpcUrl, method, params, timeout, headers)
+    : sendRpcCall(rpcUrl, method, params, timeout, headers);
+
+  inflightRpcCalls.set(callKey, promise);
+  promise.then(() => inflightRpcCalls.delete(callKey));
+  return promise;
+}
+
+// Queue a call for the batch of its URL, sent on the next tick
+function queueBatchedRpcCall(rpcUrl, method, params, timeout, headers) {
+  const batchKey = JSON.stringify([rpcUrl, headers, timeout]);
+  let batch = pendingRpcBatches.get(batchKey);
+
+  if (!batch) {
+    batch = { rpcUrl, timeout, headers, calls: [] };
+    pendingRpcBatches.set(batchKey, batch);
+    setImmediate(() => {
+      pendingRpcBatches.delete(batchKey);
+      // An unexpected error must not leave the calls pending. Calls that
+      // already got a result keep it
+      sendRpcBatch(batch).catch((error) =>
+        batch.calls.forEach((call) =>
+          call.resolve(getRequestFailure(error, {}))
+        )
+      );
+    });
+  }
+
+  return new Promise((resolve) =>
+    batch.calls.push({ method, params, resolve })
+  );
+}
+
+// Turn a JSON-RPC response object into a call result. JSON-RPC errors keep
+// their code and message
+function parseRpcResponse(data, latency) {
+  if (data && data.result !== undefined) {
+    return {
+      success: true,
+      result: data.result,
+      error: data.error,
+      latency: latency,
+    };
+  }
+
+  if (data?.error) {
+    const rateLimited =
+      RATE_LIMIT_ERROR_CODES.includes(data.error.code) ||
+      RATE_LIMIT_PATTERN.test(data.error.message);
+    return {
+      success: false,
+      error: redactSecrets(data.error.message || 'RPC error'),
+      errorClass: rateLimited ? 'rate_limited' : 'rpc_error',
+      errorCode: data.error.code ?? null,
+      latency: latency,
+    };
+  }
+
+  return {
+    success: false,
+    error: 'Invalid response format',
+    errorClass: 'invalid_response',
+    latency: latency,
+  };
+}
+
+// Failed call result for an HTTP request that threw, classified by cause.
+// Rate limited responses carry the Retry-After delay (seconds) if given
+function getRequestFailure(error, latency) {
+  const status = error.response?.status ?? null;
+  const retryAfter = parseInt(error.response?.headers?.['retry-after']);
+
+  return {
+    success: false,
+    error: redactSecrets(error.message),
+    errorClass: classifyRequestError(error),
+    httpStatus: status,
+    ...(!isNaN(retryAfter) && { retryAfter }),
+    latency: latency,
+  };
+}
+
+// Whether a failed call should be retried
+function isRetryableFailure(result, attempt) {
+  return attempt <= RPC_RETRIES && RPC_RETRY_ON.includes(result.errorClass);
+}
+
+// Delay before retry `attempt` (1-based): exponential backoff with jitter
+// between half and the full delay, or the server's Retry-After when longer
+function getRetryDelay(attempt, retryAfter) {
+  const backoff = Math.min(
+    RPC_RETRY_MAX_DELAY,
+    RPC_RETRY_BASE_DELAY * 2 ** (attempt - 1)
+  );
+  const jittered = Math.round(backoff / 2 + (Math.random() * backoff) / 2);
+  return retryAfter
+    ? Math.min(RPC_RETRY_MAX_DELAY, Math.max(jittered, retryAfter * 1000))
+    : jittered;
+}
+
+// Run `send` until it succeeds or fails with an error that is not retried,
+// waiting a jittered backoff between attempts. The result has `attempts`
+async function withRetries(description, send) {
+  for (let attempt = 1; ; attempt++) {
+    const result = await send();
+
+    if (!isRetryableFailure(result, attempt)) {
+      return { ...result, attempts: attempt };
+    }
+
+    const delay = getRetryDelay(attempt, result.retryAfter);
+    console.log(
+      `🔁 Retrying ${description} in ${delay}ms after ${result.errorClass}: ${result.error}`
+    );
+    await new Promise((resolve) => setTimeout(resolve, delay));
+  }
+}
+
+// Send a single JSON-RPC call, retrying transient failures
+function sendRpcCall(rpcUrl, method, params, timeout, headers) {
+  return withRetries(`${method} on ${redactUrl(rpcUrl)}`, () =>
+    sendRpcRequest(rpcUrl, method, params, timeout, headers)
+  );
+}
+
+// Send one JSON-RPC request
+async function sendRpcRequest(rpcUrl, method, params, timeout, headers) {
+  if (!reserveCalls(rpcUrl, 1)) {
+    return getBudgetFailure(rpcUrl);
+  }
+
+  const startTime = performance.now();
+  const latency = { dns: null, connect: null, tls: null, ttfb: null };
+  const agent = createTimingAgent(rpcUrl, startTime, latency);
+  const finishLatency = () => {
+    latency.total = Math.round((performance.now() - startTime) * 10) / 10;
+    return latency;
+  };
+
+  try {
+    console.log(`🔗 Making RPC call to ${redactUrl(rpcUrl)}: ${method}`);
+
+    const response = await axios.post(
+      rpcUrl,
+      {
+        jsonrpc: '2.0',
+        method: method,
+        params: params,
+        id: ++rpcRequestId,
+      },
+      {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: timeout,
+        httpAgent: agent,
+        httpsAgent: agent,
+      }
+    );
+
+    finishLatency();
+    console.log(`📡 RPC response (${latency.total}ms):`, response.data);
+
+    return countRateLimited(rpcUrl, parseRpcResponse(response.data, latency));
+  } catch (error) {
+    finishLatency();
+    const failure = getRequestFailure(error, latency);
+    console.log(`💥 RPC call error (${failure.errorClass}):`, failure.error);
+    return countRateLimited(rpcUrl, failure);
+  }
+}
+
+// Send queued calls as one JSON-RPC batch, retrying transient failures of
+// the whole batch. Every call gets the latency of the whole batch. When the
+// endpoint seems to reject the batch (a BATCH_REJECTION_STATUSES error or a
+// response that is not a matching array) the first call is sent on its own.
+// Only if that one gets a JSON-RPC answer are the other calls sent
+// individually and the URL not batched again for RPC_BATCH_RETRY_INTERVAL
+async function sendRpcBatch({ rpcUrl, timeout, headers, calls }) {
+  if (calls.length === 1) {
+    const [call] = calls;
+    call.resolve(
+      await sendRpcCall(rpcUrl, call.method, call.params, timeout, headers)
+    );
+    return;
+  }
+
+  const outcome = await withRetries(`batch on ${redactUrl(rpcUrl)}`, () =>
+    sendRpcBatchRequest(rpcUrl, calls, timeout, headers)
+  );
+
+  if (outcome.success) {
+    calls.forEach((call, index) =>
+      call.resolve({
+        ...countRateLimited(
+          rpcUrl,
+          parseRpcResponse(outcome.responses[index], { ...outcome.latency })
+        ),
+        attempts: outcome.attempts,
+      })
+    );
+    return;
+  }
+
+  if (!outcome.unsupported) {
+    calls.forEach((call) =>
+      call.resolve({
+        ...outcome,
+        latency: { ...outcome.latency },
+      })
+    );
+    return;
+  }
+
+  const [first, ...rest] = calls;
+  const single = await sendRpcCall(
+    rpcUrl,
+    first.method,
+    first.params,
+    timeout,
+    headers
+  );
+  first.resolve(single);
+
+  // A single call failing the same way means the endpoint itself is broken
+  if (!single.success && single.errorClass !== 'rpc_error') {
+    rest.forEach((call) =>
+      call.resolve({ ...outcome, latency: { ...outcome.latency } })
+    );
+    return;
+  }
+
+  console.log(
+    `⚠️ ${redactUrl(
+      rpcUrl
+    )} does not support batch requests, falling back to individual calls`
+  );
+  batchUnsupportedUrls.set(rpcUrl, Date.now());
+  await Promise.all(
+    rest.map(async (call) =>
+      call.resolve(
+        await sendRpcCall(rpcUrl, call.method, call.params, timeout, headers)
+      )
+    )
+  );
+}
+
+// Send one JSON-RPC batch request. Returns the responses in call order or a
+// classified failure, flagged `unsupported` when the endpoint seems to
+// reject batches
+async function sendRpcBatchRequest(rpcUrl, calls, timeout, headers) {
+  if (!reserveCalls(rpcUrl, calls.length)) {
+    return getBudgetFailure(rpcUrl);
+  }
+
+  const startTime = performance.now();
+  const latency = { dns: null, connect: null, tls: null, ttfb: null };
+  const agent = createTimingAgent(rpcUrl, startTime, latency);
+  const ids = calls.map(() => ++rpcRequestId);
+  const finishLatency = () => {
+    latency.total = Math.round((performance.now() - startTime) * 10) / 10;
+    return latency;
+  };
+
+  try {
+    console.log(
+      `🔗 Making batch RPC call to ${redactUrl(rpcUrl)}: ${calls
+        .map((call) => call.method)
+        .join(', ')}`
+    );
+
+    const response = await axios.post(
+      rpcUrl,
+      calls.map((call, index) => ({
+        jsonrpc: '2.0',
+        method: call.method,
+        params: call.params,
+        id: ids[index],
+      })),
+      {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        timeout: timeout,
+        httpAgent: agent,
+        httpsAgent: agent,
+      }
+    );
+
+    finishLatency();
+    console.log(`📡 Batch RPC response (${latency.total}ms):`, response.data);
+
+    if (Array.isArray(response.data)) {
+      const byId = new Map(response.data.map((item) => [item?.id, item]));
+      if (ids.every((id) => byId.has(id))) {
+        return {
+          success: true,
+          responses: ids.map((id) => byId.get(id)),
+          latency,
+        };
+      }
+    }
+
+    return {
+      success: false,
+      unsupported: true,
+      error: 'Response is not a matching batch',
+      errorClass: 'invalid_response',
+      latency,
+    };
+  } catch (error) {
+    finishLatency();
+    const failure = getRequestFailure(error, latency);
+
+    if (BATCH_REJECTION_STATUSES.includes(failure.httpStatus)) {
+      return { ...failure, unsupported: true };
+    }
+
+    console.log(
+      `💥 Batch RPC call error (${failure.errorClass}):`,
+      failure.error
+    );
+    return countRateLimited(rpcUrl, failure);
+  }
+}
+
+// Calls made against each provider URL: in the current minute and UTC day,
+// in total, how often it rate limited us and how far polling is slowed down
+const providerUsage = new Map();
+
+// Usage counters of a provider URL, with the minute and day windows rolled
+function getProviderUsage(rpcUrl) {
+  if (!providerUsage.has(rpcUrl)) {
+    providerUsage.set(rpcUrl, {
+      minuteStart: 0,
+      minuteCalls: 0,
+      day: null,
+      dayCalls: 0,
+      totalCalls: 0,
+      totalRequests: 0,
+      rateLimited: 0,
+      lastRateLimitedAt: null,
+      slowdown: 1,
+      pausedUntil: 0,
+    });
+  }
+
+  const usage = providerUsage.get(rpcUrl);
+  const minuteStart = Math.floor(Date.now() / 60000) * 60000;
+  if (usage.minuteStart !== minuteStart) {
+    usage.minuteStart = minuteStart;
+    usage.minuteCalls = 0;
+  }
+  const day = getHistoryDay(Date.now());
+  if (usage.day !== day) {
+    usage.day = day;
+    usage.dayCalls = 0;
+  }
+  return usage;
+}
+
+// Per-minute and per-day call budgets of a provider URL. Endpoints sharing
+// a URL share its budget, limited by the strictest of them
+function getCallBudget(rpcUrl) {
+  const limits = [
+    ...Object.values(RPC_ENDPOINTS)
+      .filter((endpoint) => endpoint.url === rpcUrl)
+      .map((endpoint) => [
+        endpoint.max_calls_per_minute,
+        endpoint.max_calls_per_day,
+      ]),
+    ...EXTERNAL_RPC_ENDPOINTS.filter(
+      (endpoint) => endpoint.rpcUrl === rpcUrl
+    ).map((endpoint) => [endpoint.maxCallsPerMinute, endpoint.maxCallsPerDay]),
+  ];
+  const strictest = (index) => {
+    const values = limits
+      .map((limit) => limit[index])
+      .filter((value) => value !== null);
+    return values.length > 0 ? Math.min(...values) : null;
+  };
+
+  return { perMinute: strictest(0), perDay: strictest(1) };
+}
+
+// Calls left in the current minute and day (null when unlimited)
+function getRemainingCalls(rpcUrl) {
+  const usage = getProviderUsage(rpcUrl);
+  const budget = getCallBudget(rpcUrl);
+
+  return {
+    minute:
+      budget.perMinute === null
+        ? null
+        : Math.max(0, budget.perMinute - usage.minuteCalls),
+    day:
+      budget.perDay === null
+        ? null
+        : Math.max(0, budget.perDay - usage.dayCalls),
+  };
+}
+
+// Count `calls` JSON-RPC calls in one request against a provider. Returns
+// false, counting nothing, when they would exceed a budget
+function reserveCalls(rpcUrl, calls) {
+  const remaining = getRemainingCalls(rpcUrl);
+  if (
+    (remaining.minute !== null && remaining.minute < calls) ||
+    (remaining.day !== null && remaining.day < calls)
+  ) {
+    return false;
+  }
+
+  const usage = getProviderUsage(rpcUrl);
+  usage.minuteCalls += calls;
+  usage.dayCalls += calls;
+  usage.totalCalls += calls;
+  usage.totalRequests++;
+  return true;
+}
+
+// Failed call result for a call refused because the budget is used up
+function getBudgetFailure(rpcUrl) {
+  const remaining = getRemainingCalls(rpcUrl);
+  const window = remaining.minute === 0 ? 'per-minute' : 'per-day';
+  console.log(`⏸️ ${redactUrl(rpcUrl)} ${window} call budget used up`);
+
+  return {
+    success: false,
+    error: `${window} call budget used up`,
+    errorClass: 'budget_exceeded',
+    latency: { dns: null, connect: null, tls: null, ttfb: null, total: 0 },
+  };
+}
+
+// Count a rate limited call result against its provider
+function countRateLimited(rpcUrl, result) {
+  if (result.errorClass === 'rate_limited') {
+    const usage = getProviderUsage(rpcUrl);
+    usage.rateLimited++;
+    usage.lastRateLimitedAt = new Date().toISOString();
+  }
+  return result;
+}
+
+// Why a provider should not be probed now, or null: polling is slowed down
+// after rate limiting, or the budget left is below what its last probe used
+function getProbeHold(key, rpcUrl) {
+  const usage = getProviderUsage(rpcUrl);
+  if (Date.now() < usage.pausedUntil) {
+    return `slowed down ${usage.slowdown}x after rate limiting`;
+  }
+
+  const needed = probeCallCounts.get(key) || 1;
+  const remaining = getRemainingCalls(rpcUrl);
+  if (remaining.minute !== null && remaining.minute < needed) {
+    return 'per-minute call budget used up';
+  }
+  if (remaining.day !== null && remaining.day < needed) {
+    return 'per-day call budget used up';
+  }
+  return null;
+}
+
+// Check and log whether a probe has to be skipped for now
+function isProbeHeld(key, rpcUrl) {
+  const hold = getProbeHold(key, rpcUrl);
+  if (hold) {
+    console.log(`⏸️ Skipping probe of ${key}: ${hold}`);
+  }
+  return Boolean(hold);
+}
+
+// JSON-RPC calls the last probe of each endpoint key made
+const probeCallCounts = new Map();
+
+// Probe an endpoint unless it is on hold, then remember the calls the probe
+// made and adapt the provider's slowdown. Returns null when skipped
+async function probeWithinBudget(key, rpcUrl, interval, probe) {
+  if (isProbeHeld(key, rpcUrl)) {
+    return null;
+  }
+
+  const usage = getProviderUsage(rpcUrl);
+  const callsBefore = usage.totalCalls;
+  const startedAt = Date.now();
+  const result = await probe();
+  probeCallCounts.set(key, Math.max(1, usage.totalCalls - callsBefore));
+
+  if (getRateLimitedTests(result).length > 0) {
+    usage.slowdown = Math.min(RATE_LIMIT_MAX_SLOWDOWN, usage.slowdown * 2);
+    console.log(
+      `🐢 ${result.name} is rate limited, polling ${usage.slowdown}x slower`
+    );
+  } else if (usage.slowdown > 1) {
+    usage.slowdown = Math.max(1, usage.slowdown / 2);
+  }
+
+  // While slowed down, the next probe is due `slowdown` intervals after this
+  // one started. The poll loop keeps ticking every interval and skips the
+  // ticks in between
+  usage.pausedUntil =
+    usage.slowdown > 1 ? startedAt + interval * usage.slowdown : 0;
+
+  return result;
+}
+
+// Names of the tests of a probe result that were rate limited
+function getRateLimitedTests(result) {
+  return Object.entries(
+    result.tests || { rpc: result.rpc, websocket: result.websocket }
+  )
+    .filter(([, test]) => test?.errorClass === 'rate_limited')
+    .map(([name]) => name);
+}
+
+// Call usage, budgets and rate limiting of every main and external endpoint
+function getProviderUsageReport() {
+  const targets = [
+    ...Object.entries(RPC_ENDPOINTS).map(([key, endpoint]) => ({
+      key,
+      name: endpoint.name,
+      type: 'main',
+      url: endpoint.url,
+      displayUrl: endpoint.display_url,
+    })),
+    ...EXTERNAL_RPC_ENDPOINTS.map((endpoint) => ({
+      key: endpoint.key,
+      name: endpoint.name,
+      type: 'external',
+      url: endpoint.rpcUrl,
+      displayUrl: endpoint.displayRpcUrl,
+    })),
+  ];
+
+  return targets.map(({ key, name, type, url, displayUrl }) => {
+    const usage = getProviderUsage(url);
+    return {
+      key,
+      name,
+      type,
+      url: displayUrl,
+      calls: {
+        minute: usage.minuteCalls,
+        day: usage.dayCalls,
+        total: usage.totalCalls,
+      },
+      requests: usage.totalRequests,
+      budget: getCallBudget(url),
+      remaining: getRemainingCalls(url),
+      rateLimited: usage.rateLimited,
+      lastRateLimitedAt: usage.lastRateLimitedAt,
+      slowdown: usage.slowdown,
+      pausedUntil:
+        usage.pausedUntil > Date.now()
+          ? new Date(usage.pausedUntil).toISOString()
+          : null,
+      hold: getProbeHold(key, url),
+    };
+  });
+}
+
+// Failed test result carrying the error details of a failed RPC call
+function getRpcFailure(result, error = result.error) {
+  return {
+    success: false,
+    error: error,
+    errorClass: result.errorClass,
+    errorCode: result.errorCode ?? null,
+    httpStatus: result.httpStatus ?? null,
+    attempts: result.attempts,
+    latency: result.latency,
+  };
+}
+
+// Give every failed test without an error class one derived from its message
+function classifyTestErrors(tests) {
+  for (const test of tests) {
+    if (test && !test.success && !test.errorClass) {
+      test.errorClass = classifyProbeError(test.error);
+    }
+  }
+}
+
+// Get block number from RPC
+async function getBlockNumber(rpcUrl, rpcName, options = {}) {
+  const result = await makeRpcCall(
+    rpcUrl,
+    'eth_blockNumber',
+    [],
+    options.timeout,
+    options.headers
+  );
+
+  if (result.success) {
+    const blockHex = result.result;
+    const blockDecimal = parseInt(blockHex, 16);
+    console.log(`✅ ${rpcName} block: ${blockDecimal} (${blockHex})`);
+    return {
+      success: true,
+      block: blockDecimal,
+      hex: blockHex,
+      latency: result.latency,
+    };
+  }
+
+  console.log(`❌ ${rpcName} failed: ${result.error}`);
+  return getRpcFailure(result);
+}
+
+// Get the hash and parent hash of a block by number
+async function getBlockByNumber(rpcUrl, rpcName, blockNumber, options = {}) {
+  const result = await makeRpcCall(
+    rpcUrl,
+    'eth_getBlockByNumber',
+    ['0x' + blockNumber.toString(16), false],
+    options.timeout,
+    options.headers
+  );
+
+  if (result.success && result.result) {
+    return {
+      success: true,
+      number: parseInt(result.result.number, 16),
+      hash: result.result.hash,
+      parentHash: result.result.parentHash,
+      latency: result.latency,
+    };
+  }
+
+  const error = result.success
+    ? `Block ${blockNumber} not found`
+    : result.error;
+  console.log(`❌ ${rpcName} block ${blockNumber} failed: ${error}`);
+  return result.success
+    ? {
+        success: false,
+        error: error,
+        errorClass: 'invalid_response',
+        latency: result.latency,
+      }
+    : getRpcFailure(result);
+}
+
+// Compare block hashes of a node and its reference at a common height.
+// `target` and `reference` are { url, name, options }. On a mismatch, walk
+// back through parent hashes to find the last matching ancestor
+async function detectForkDivergence(target, reference, height) {
+  const fetchPair = (number) =>
+    Promise.all([
+      getBlockByNumber(target.url, target.name, number, target.options),
+      getBlockByNumber(
+        reference.url,
+        reference.name,
+        number,
+        reference.options
+      ),
+    ]);
+
+  let [block, referenceBlock] = await fetchPair(height);
+  if (!block.success || !referenceBlock.success) {
+    return {
+      success: false,
+      height,
+      error: block.error || referenceBlock.error,
+    };
+  }
+
+  const fork = {
+    success: true,
+    height,
+    hash: block.hash,
+    parentHash: block.parentHash,
+    referenceHash: referenceBlock.hash,
+    referenceParentHash: referenceBlock.parentHash,
+    diverged: block.hash !== referenceBlock.hash,
+    commonAncestor: { number: height, hash: block.hash },
+    depth: 0,
+  };
+
+  if (!fork.diverged) {
+    return fork;
+  }
+
+  fork.commonAncestor = null;
+  fork.depth = null;
+
+  for (let number = height; number > height - FORK_CHECK_MAX_DEPTH; number--) {
+    // Matching parents mean the previous block is the last common ancestor
+    if (block.parentHash === referenceBlock.parentHash) {
+      fork.commonAncestor = { number: number - 1, hash: block.parentHash };
+      fork.depth = height - (number - 1);
+      break;
+    }
+
+    if (number - 1 <= height - FORK_CHECK_MAX_DEPTH) break;
+
+    [block, referenceBlock] = await fetchPair(number - 1);
+    if (!block.success || !referenceBlock.success) break;
+  }
+
+  console.log(
+    `🍴 ${target.name} diverged from ${reference.name} at block ${height}${
+      fork.depth !== null
+        ? `, last common ancestor ${fork.depth} blocks back`
+        : `, no common ancestor within ${FORK_CHECK_MAX_DEPTH} blocks`
+    }`
+  );
+  return fork;
+}
+
+// Latest fork check per endpoint key: { result, checkedAt }
+const forkResults = new Map();
+
+// Latest fork check of an endpoint, running a new one when the previous one
+// is older than FORK_CHECK_INTERVAL
+async function getForkCheck(key, target, reference, height) {
+  const cached = forkResults.get(key);
+  if (cached && Date.now() - cached.checkedAt < FORK_CHECK_INTERVAL) {
+    return cached.result;
+  }
+
+  const result = {
+    ...(await detectForkDivergence(target, reference, height)),
+    checkedAt: new Date().toISOString(),
+  };
+  forkResults.set(key, { result, checkedAt: Date.now() });
+  return result;
+}
+
+// Latest archive verification per endpoint key: { result, checkedAt }
+const archiveResults = new Map();
+
+// Heights checked by an archive verification: the configured blocks, or
+// random blocks between genesis and the last ARCHIVE_RECENT_BLOCKS
+function getArchiveHeights(archive, head) {
+  if (archive.blocks) {
+    return archive.blocks.filter((block) => block <= head);
+  }
+
+  const oldest = head - ARCHIVE_RECENT_BLOCKS;
+  if (oldest < 1) {
+    return [];
+  }
+
+  const heights = new Set();
+  for (let i = 0; i < archive.samples; i++) {
+    heights.add(1 + Math.floor(Math.random() * oldest));
+  }
+  return Array.from(heights).sort((a, b) => a - b);
+}
+
+// Call a historical method on an endpoint and on its reference, and compare
+// the results. `missingState` marks errors of nodes without that state
+async function runArchiveCall(endpoint, reference, height, method, params) {
+  const options = getRequestOptions(endpoint);
+  const referenceOptions = reference ? getRequestOptions(reference) : null;
+
+  const [result, referenceResult] = await Promise.all([
+    makeRpcCall(endpoint.url, method, params, options.timeout, options.headers),
+    reference
+      ? makeRpcCall(
+          reference.url,
+          method,
+          params,
+          referenceOptions.timeout,
+          referenceOptions.headers
+        )
+      : null,
+  ]);
+
+  if (!result.success) {
+    return {
+      height,
+      method,
+      success: false,
+      missingState: MISSING_STATE_PATTERN.test(result.error),
+      error: result.error,
+    };
+  }
+
+  // Without a usable reference result the call only has to succeed
+  const matchesReference = referenceResult?.success
+    ? normalizeRpcResult(result.result) ===
+      normalizeRpcResult(referenceResult.result)
+    : null;
+
+  return {
+    height,
+    method,
+    success: matchesReference !== false,
+    missingState: false,
+    matchesReference,
+    ...(matchesReference === false && {
+      error: `Result differs from ${reference.name}`,
+    }),
+  };
+}
+
+// Check that debug_traceTransaction and trace_block work on an old block
+async function runArchiveTraces(endpoint, archive, heights) {
+  const options = getRequestOptions(endpoint);
+  const call = (method, params) =>
+    makeRpcCall(endpoint.url, method, params, options.timeout, options.headers);
+  const traces = {};
+
+  let transaction = archive.trace_transaction;
+  for (const height of heights) {
+    if (transaction) break;
+    const block = await call('eth_getBlockByNumber', [
+      '0x' + height.toString(16),
+      false,
+    ]);
+    transaction = block.success ? block.result?.transactions?.[0] : null;
+  }
+
+  if (transaction) {
+    const result = await call('debug_traceTransaction', [
+      transaction,
+      { tracer: 'callTracer' },
+    ]);
+    traces.debug_traceTransaction = {
+      success: result.success,
+      transaction,
+      ...(!result.success && { error: result.error }),
+    };
+  } else {
+    traces.debug_traceTransaction = {
+      success: null,
+      error: 'No transaction found in the checked blocks',
+    };
+  }
+
+  if (heights.length > 0) {
+    const result = await call('trace_block', ['0x' + heights[0].toString(16)]);
+    traces.trace_block = {
+      success: result.success,
+      height: heights[0],
+      ...(!result.success && { error: result.error }),
+    };
+  }
+
+  return traces;
+}
+
+// Query balances, storage and calls at old heights to verify that a node
+// serves historical state, comparing with its compare_with node. The node is
+// flagged as pruned when it reports missing state for an old block
+async function verifyArchiveNode(endpoint, head) {
+  const archive = endpoint.archive;
+  const reference = endpoint.compare_with
+    ? RPC_ENDPOINTS[endpoint.compare_with]
+    : null;
+  const heights = getArchiveHeights(archive, head);
+
+  console.log(
+    `🏛️ Verifying archive state of ${endpoint.name} at blocks ${heights.join(
+      ', '
+    )}`
+  );
+
+  const checks = await Promise.all(
+    heights.flatMap((height) => {
+      const tag = '0x' + height.toString(16);
+      return [
+        ['eth_getBalance', [archive.address, tag]],
+        ['eth_getStorageAt', [archive.address, archive.storage_slot, tag]],
+        ['eth_call', [{ to: archive.address, data: archive.call_data }, tag]],
+      ].map(([method, params]) =>
+        runArchiveCall(endpoint, reference, height, method, params)
+      );
+    })
+  );
+  const traces = archive.trace
+    ? await runArchiveTraces(endpoint, archive, heights)
+    : null;
+
+  const reasons = [
+    ...checks
+      .filter((check) => !check.success)
+      .map((check) => `${check.method} at ${check.height}: ${check.error}`),
+    ...Object.entries(traces || {})
+      .filter(([, trace]) => trace.success === false)
+      .map(([method, trace]) => `${method}: ${trace.error}`),
+  ];
+  const pruned = checks.some((check) => check.missingState);
+
+  console.log(
+    `🏛️ ${endpoint.name} archive verification ${
+      pruned ? 'found pruned state' : reasons.length > 0 ? 'failed' : 'passed'
+    }`
+  );
+
+  return {
+    success: heights.length > 0,
+    checkedAt: new Date().toISOString(),
+    head,
+    heights,
+    reference: reference ? endpoint.compare_with : null,
+    pruned,
+    passed: reasons.length === 0,
+    checks,
+    traces,
+    reasons,
+    ...(heights.length === 0 && { error: 'No old blocks to check yet' }),
+  };
+}
+
+// Latest archive verification of an endpoint, running a new one when the
+// previous one is older than the endpoint's archive interval
+async function getArchiveVerification(endpointKey, endpoint, head) {
+  const cached = archiveResults.get(endpointKey);
+  if (cached && Date.now() - cached.checkedAt < endpoint.archive.interval) {
+    return cached.result;
+  }
+
+  const result = await verifyArchiveNode(endpoint, head);
+  archiveResults.set(endpointKey, { result, checkedAt: Date.now() });
+  return result;
+}
+
+// Get chain ID from RPC
+async function getChainId(rpcUrl, rpcName, options = {}) {
+  const result = await makeRpcCall(
+    rpcUrl,
+    'eth_chainId',
+    [],
+    options.timeout,
+    options.headers
+  );
+
+  if (result.success) {
+    const chainIdHex = result.result;
+    const chainIdDecimal = parseInt(chainIdHex, 16);
+    console.log(`✅ ${rpcName} chain ID: ${chainIdDecimal} (${chainIdHex})`);
+    return {
+      success: true,
+      chainId: chainIdDecimal,
+      hex: chainIdHex,
+      latency: result.latency,
+    };
+  }
+
+  console.log(`❌ ${rpcName} chain ID failed: ${result.error}`);
+  return getRpcFailure(result);
+}
+
+// Get gas price from RPC
+async function getGasPrice(rpcUrl, rpcName, options = {}) {
+  const result = await makeRpcCall(
+    rpcUrl,
+    'eth_gasPrice',
+    [],
+    options.timeout,
+    options.headers
+  );
+
+  if (result.success) {
+    const gasPriceHex = result.result;
+    const gasPriceDecimal = parseInt(gasPriceHex, 16);
+    const gasPriceGwei = (gasPriceDecimal / 1e9).toFixed(2);
+    console.log(`✅ ${rpcName} gas price: ${gasPriceGwei} Gwei`);
+    return {
+      success: true,
+      gasPrice: gasPriceDecimal,
+      gasPriceGwei: gasPriceGwei,
+      hex: gasPriceHex,
+      latency: result.latency,
+    };
+  }
+
+  console.log(`❌ ${rpcName} gas price failed: ${result.error}`);
+  return getRpcFailure(result);
+}
+
+// Get sync status from RPC
+async function getSyncStatus(rpcUrl, rpcName, options = {}) {
+  const result = await makeRpcCall(
+    rpcUrl,
+    'eth_syncing',
+    [],
+    options.timeout,
+    options.headers
+  );
+
+  if (result.success) {
+    const syncData = result.result;
+    if (syncData === false) {
+      console.log(`✅ ${rpcName} is not syncing`);
+      return {
+        success: true,
+        syncing: false,
+        data: null,
+        latency: result.latency,
+      };
+    } else {
+      console.log(`⏳ ${rpcName} is syncing:`, syncData);
+      return {
+        success: true,
+        syncing: true,
+        data: syncData,
+        latency: result.latency,
+      };
+    }
+  }
+
+  console.log(`❌ ${rpcName} sync status failed: ${result.error}`);
+  return getRpcFailure(result);
+}
+
+// Get system resources for a specific node
+async function getNodeSystemResources(nodeName, systemUrl) {
+  if (!systemUrl) {
+    console.log(`⚠️ No system monitor URL configured for ${nodeName}`);
+    return null;
+  }
+
+  try {
+    console.log(
+      `🌐 Getting system resources for ${nodeName} from: ${redactUrl(
+        systemUrl
+      )}`
+    );
+
+    const response = await axios.get(systemUrl, {
+      timeout: 10000,
+    });
+
+    const errors = validateSystemReport(response.data, {
+      allowLegacy: SYSTEM_LEGACY_REPORTS,
+    });
+    if (errors.length > 0) {
+      console.log(
+        `❌ Invalid system report for ${nodeName}: ${errors.join('; ')}`
+      );
+      return null;
+    }
+
+    const report = response.data;
+    if (report.schemaVersion === undefined) {
+      console.log(
+        `⚠️ ${nodeName} runs an unversioned system monitor, update it to schema v${SYSTEM_SCHEMA_VERSION}`
+      );
+    }
+
+    console.log(`✅ System resources for ${nodeName} retrieved successfully`);
+    return {
+      schemaVersion: report.schemaVersion ?? null,
+      ram: report.ram,
+      disk: report.disk,
+      cpu: report.cpu,
+      load: report.load ?? null,
+      network: report.network ?? null,
+      process: report.process ?? null,
+    };
+  } catch (error) {
+    console.log(
+      `💥 System resources for ${nodeName} error: ${redactSecrets(
+        error.message
+      )}`
+    );
+    return null;
+  }
+}
+
+// Timeout and auth headers to use for RPC calls to a main endpoint
+function getRequestOptions(endpoint) {
+  return { timeout: endpoint.timeout, headers: endpoint.headers };
+}
+
+// Main endpoint configuration without credentials, safe to return from the API
+function getPublicEndpointConfig(endpoint) {
+  const { url, ws_url, headers, display_url, ...config } = endpoint;
+  return {
+    ...config,
+    url: display_url,
+    ws_url: redactUrl(ws_url),
+    system_monitor_url: redactUrl(endpoint.system_monitor_url),
+  };
+}
+
+// External endpoint configuration without credentials
+function getPublicExternalConfig(endpoint) {
+  return {
+    key: endpoint.key,
+    name: endpoint.name,
+    rpcUrl: endpoint.displayRpcUrl,
+    wsUrl: endpoint.displayWsUrl,
+    description: endpoint.description,
+    chain: endpoint.chain,
+    showInUI: endpoint.showInUI,
+    pollInterval: endpoint.pollInterval,
+    timeout: endpoint.timeout,
+  };
+}
+
+// Endpoint configuration with full URLs for admins. Header values such as
+// bearer API keys are still left out
+function getAdminEndpointConfig(endpoint) {
+  const { headers, display_url, ...config } = endpoint;
+  return { ...config, headers: Object.keys(headers || {}) };
+}
+
+// External endpoint configuration with full URLs for admins
+function getAdminExternalConfig(endpoint) {
+  return {
+    ...getPublicExternalConfig(endpoint),
+    rpcUrl: endpoint.rpcUrl,
+    wsUrl: endpoint.wsUrl,
+    headers: Object.keys(endpoint.headers || {}),
+  };
+}
+
+// Rolling window of recent RPC call latencies (ms) per endpoint key
+const latencyWindows = new Map();
+
+// Value at a percentile (0-100) of a sorted array
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const index = Math.min(
+    sorted.length - 1,
+    Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)
+  );
+  return sorted[index];
+}
+
+// Add the latencies of a probe's tests to the endpoint's rolling window and
+// return this probe's average plus the rolling p50/p95/p99
+function recordLatencySamples(endpointKey, tests) {
+  const samples = Object.values(tests)
+    .filter((test) => test && test.latency && test.latency.total != null)
+    .map((test) => test.latency.total);
+
+  const window = latencyWindows.get(endpointKey) || [];
+  window.push(...samples);
+  window.splice(0, Math.max(0, window.length - LATENCY_WINDOW));
+  latencyWindows.set(endpointKey, window);
+
+  const sorted = [...window].sort((a, b) => a - b);
+  const average =
+    samples.length > 0
+      ? Math.round(
+          (samples.reduce((sum, value) => sum + value, 0) / samples.length) * 10
+        ) / 10
+      : null;
+
+  return {
+    average: average,
+    p50: percentile(sorted, 50),
+    p95: percentile(sorted, 95),
+    p99: percentile(sorted, 99),
+    samples: sorted.length,
+  };
+}
+
+// Health score points deducted for slow responses
+function getLatencyPenalty(latency) {
+  if (latency === null) return 0;
+  if (latency >= LATENCY_CRITICAL_MS) return 40;
+  if (latency >= LATENCY_WARN_MS) return 20;
+  return 0;
+}
+
+// Health score points deducted for lagging more than HEALTH_LAG_TOLERANCE
+// blocks behind the reference
+function getLagPenalty(blockDifference) {
+  if (!blockDifference || blockDifference.difference <= HEALTH_LAG_TOLERANCE) {
+    return 0;
+  }
+  return Math.min(
+    HEALTH_LAG_PENALTY_MAX,
+    (blockDifference.difference - HEALTH_LAG_TOLERANCE) *
+      HEALTH_LAG_PENALTY_PER_BLOCK
+  );
+}
+
+// Health score points deducted when RAM, disk or CPU usage (CPU only when
+// reported as a percentage) crosses the warning or critical level
+function getResourcePenalty(system) {
+  if (!system) return 0;
+
+  const usage = Math.max(
+    toPercent(system.ram?.percentage) ?? 0,
+    toPercent(system.disk?.usage_percent) ?? 0,
+    system.cpu?.usageType === 'percentage'
+      ? toPercent(system.cpu.usage) ?? 0
+      : 0
+  );
+  if (usage >= HEALTH_RESOURCE_CRITICAL_PERCENT) return 25;
+  if (usage >= HEALTH_RESOURCE_WARN_PERCENT) return 10;
+  return 0;
+}
+
+// Health status for a score: healthy, degraded or unhealthy
+function getHealthStatus(score) {
+  if (score >= HEALTH_HEALTHY_THRESHOLD) return 'healthy';
+  if (score >= HEALTH_DEGRADED_THRESHOLD) return 'degraded';
+  return 'unhealthy';
+}
+
+// Weighted health score of a probe result with its breakdown. A failed
+// validation check or critical test forces the score to 0
+function calculateHealth(endpoint, results) {
+  const checks = Object.fromEntries(
+    endpoint.checks.map((check) => [check.name, check])
+  );
+  const tests = {};
+  let earned = 0;
+  let possible = 0;
+
+  for (const [name, test] of Object.entries(results.tests)) {
+    const weight = checks[name]
+      ? checks[name].weight
+      : HEALTH_WEIGHTS[name] ?? 1;
+    const critical = checks[name]
+      ? checks[name].critical
+      : HEALTH_CRITICAL_TESTS.includes(name);
+    tests[name] = { weight, passed: test.success === true, critical };
+    possible += weight;
+    if (test.success) earned += weight;
+  }
+
+  const criticalFailures = Object.keys(tests).filter(
+    (name) => tests[name].critical && !tests[name].passed
+  );
+  const reasons = [
+    ...results.validation.reasons,
+    ...criticalFailures.map((name) =>
+      results.tests[name].error
+        ? `${name} failed: ${results.tests[name].error}`
+        : `${name} failed`
+    ),
+  ];
+  const testScore = possible > 0 ? (earned / possible) * 100 : 0;
+  const penalties = {
+    lag: getLagPenalty(results.blockDifference),
+    latency: getLatencyPenalty(results.latency.average),
+    resources: getResourcePenalty(results.system),
+  };
+  const critical = reasons.length > 0;
+  const score = critical
+    ? 0
+    : Math.max(
+        0,
+        testScore - penalties.lag - penalties.latency - penalties.resources
+      );
+
+  return {
+    score,
+    status: getHealthStatus(score),
+    successfulTests: Object.values(tests).filter((test) => test.passed).length,
+    totalTests: Object.keys(tests).length,
+    latencyPenalty: penalties.latency,
+    critical,
+    reasons,
+    breakdown: {
+      tests,
+      testScore,
+      penalties,
+      criticalFailures,
+    },
+  };
+}
+
+// Last block number seen per endpoint key and when it last changed
+const lastBlocks = new Map();
+
+// Validate test results against expectations. Any failed check marks the
+// endpoint critical regardless of its health score. Only scheduled probes
+// move the last seen block, so manual tests cannot reset a stall
+function validateEndpointResult(endpointKey, endpoint, results, scheduled) {
+  const tests = results.tests;
+  const checks = {};
+
+  // The node must be on the expected chain
+  if (tests.chainId?.success) {
+    const expected = parseInt(endpoint.expected_chain_id);
+    const passed = tests.chainId.chainId === expected;
+    checks.chainId = {
+      passed,
+      expected,
+      actual: tests.chainId.chainId,
+      reason: passed
+        ? null
+        : `Chain ID mismatch: expected ${expected}, got ${tests.chainId.chainId}`,
+    };
+  }
+
+  // The node must not be syncing
+  if (tests.syncStatus?.success) {
+    const passed = tests.syncStatus.syncing === false;
+    checks.syncing = {
+      passed,
+      reason: passed ? null : 'Node is syncing',
+    };
+  }
+
+  // The block number must keep increasing between probes
+  if (tests.blockNumber?.success) {
+    const block = tests.blockNumber.block;
+    const now = Date.now();
+    const last = lastBlocks.get(endpointKey);
+    let passed = true;
+    let reason = null;
+
+    if (last && block < last.block) {
+      passed = false;
+      reason = `Block number went backwards from ${last.block} to ${block}`;
+    } else if (last && block === last.block) {
+      const stalledFor = now - last.changedAt;
+      if (stalledFor >= endpoint.block_stall_after) {
+        passed = false;
+        reason = `Block number stuck at ${block} for ${Math.round(
+          stalledFor / 1000
+        )}s`;
+      }
+    }
+
+    if (scheduled && (!last || block !== last.block)) {
+      lastBlocks.set(endpointKey, { block, changedAt: now });
+    }
+
+    checks.blockProgress = {
+      passed,
+      previous: last ? last.block : null,
+      current: block,
+      reason,
+    };
+  }
+
+  // The node must be on the same fork as its reference
+  if (results.fork?.success) {
+    const passed = !results.fork.diverged;
+    checks.fork = {
+      passed,
+      height: results.fork.height,
+      depth: results.fork.depth,
+      reason: passed
+        ? null
+        : `Block hash differs from ${endpoint.compare_with} at ${
+            results.fork.height
+          }${
+            results.fork.depth !== null
+              ? ` (last common ancestor ${results.fork.depth} blocks back)`
+              : ` (no common ancestor within ${FORK_CHECK_MAX_DEPTH} blocks)`
+          }`,
+    };
+  }
+
+  // An archive node must still have historical state
+  if (results.archive?.success) {
+    const missing = results.archive.checks.find((check) => check.missingState);
+    checks.archive = {
+      passed: !missing,
+      pruned: results.archive.pruned,
+      reason: missing
+        ? `Historical state missing at block ${missing.height} (pruned)`
+        : null,
+    };
+  }
+
+  const reasons = Object.values(checks)
+    .filter((check) => !check.passed)
+    .map((check) => check.reason);
+
+  return { passed: reasons.length === 0, checks, reasons };
+}
+
+// Start eth_blockNumber calls for reference endpoints, keyed by endpoint key.
+// They are not awaited here, so the calls join the batches that the probes
+// started in the same tick send to the same URLs
+function requestBlockNumbers(keys) {
+  return Object.fromEntries(
+    keys.map((key) => {
+      const endpoint = RPC_ENDPOINTS[key];
+      return [
+        key,
+        getBlockNumber(
+          endpoint.url,
+          endpoint.name,
+          getRequestOptions(endpoint)
+        ),
+      ];
+    })
+  );
+}
+
+// Test RPC endpoint comprehensively. `blockNumbers` maps reference keys to
+// their eth_blockNumber results, or promises of them (see requestBlockNumbers).
+// `scheduled` is set for probes of the poll scheduler
+async function testRpcEndpoint(
+  endpointKey,
+  endpoint,
+  allResults = {},
+  blockNumbers = {},
+  scheduled = false
+) {
+  console.log(
+    `🧪 Testing RPC endpoint: ${endpoint.name} (${endpoint.display_url})`
+  );
+
+  const requestOptions = getRequestOptions(endpoint);
+
+  const startTime = Date.now();
+  const results = {
+    name: endpoint.name,
+    url: endpoint.display_url,
+    chain: endpoint.chain,
+    timestamp: new Date().toISOString(),
+    tests: {},
+    blockDifference: null,
+    fork: null,
+    archive: null,
+    system: null,
+  };
+
+  // Run all RPC tests concurrently for this endpoint, so they go out as one
+  // batch and the block number describes the same moment as the rest
+  const rpcTests = [
+    getBlockNumber(endpoint.url, endpoint.name, requestOptions),
+    getChainId(endpoint.url, endpoint.name, requestOptions),
+    getGasPrice(endpoint.url, endpoint.name, requestOptions),
+    getSyncStatus(endpoint.url, endpoint.name, requestOptions),
+  ];
+
+  // Add system resources test if configured
+  if (endpoint.system_monitor_url) {
+    rpcTests.push(
+      getNodeSystemResources(endpoint.name, endpoint.system_monitor_url)
+    );
+  }
+
+  // Execute all tests and the declared checks concurrently
+  const [testResults, checkResults] = await Promise.all([
+    Promise.all(rpcTests),
+    runEndpointChecks(endpoint, requestOptions),
+  ]);
+
+  // Assign results to tests object
+  results.tests.blockNumber = testResults[0];
+  results.tests.chainId = testResults[1];
+  results.tests.gasPrice = testResults[2];
+  results.tests.syncStatus = testResults[3];
+  Object.assign(results.tests, checkResults);
+
+  // Assign system resources if available
+  if (endpoint.system_monitor_url) {
+    results.system = testResults[4];
+  }
+
+  // Calculate block difference only if the reference's block number was
+  // requested along with this probe
+  const referenceResult = endpoint.compare_with
+    ? await blockNumbers[endpoint.compare_with]
+    : null;
+  if (referenceResult?.success && results.tests.blockNumber.success) {
+    const referenceBlock = referenceResult.block;
+    const currentBlock = results.tests.blockNumber.block;
+    const difference = referenceBlock - currentBlock;
+
+    results.blockDifference = {
+      referenceBlock: referenceBlock,
+      currentBlock: currentBlock,
+      difference: difference,
+      isBehind: difference > 0,
+      isAhead: difference < 0,
+      isSynced: difference === 0,
+    };
+
+    console.log(
+      `📊 ${endpoint.name} block difference: ${difference} (${
+        difference > 0 ? 'behind' : difference < 0 ? 'ahead' : 'synced'
+      })`
+    );
+
+    // Same height is not enough: check both nodes are on the same fork
+    if (FORK_CHECK_ENABLED) {
+      const referenceEndpoint = RPC_ENDPOINTS[endpoint.compare_with];
+      results.fork = await getForkCheck(
+        endpointKey,
+        { url: endpoint.url, name: endpoint.name, options: requestOptions },
+        {
+          url: referenceEndpoint.url,
+          name: referenceEndpoint.name,
+          options: getRequestOptions(referenceEndpoint),
+        },
+        Math.min(referenceBlock, currentBlock)
+      );
+    }
+  }
+
+  // Archive nodes must still serve historical state
+  if (endpoint.archive && results.tests.blockNumber.success) {
+    results.archive = await getArchiveVerification(
+      endpointKey,
+      endpoint,
+      results.tests.blockNumber.block
+    );
+    if (results.archive.success) {
+      results.tests.archive = {
+        success: results.archive.passed,
+        pruned: results.archive.pruned,
+        heights: results.archive.heights,
+        ...(!results.archive.passed && { error: results.archive.reasons[0] }),
+      };
+    }
+  }
+
+  classifyTestErrors(Object.values(results.tests));
+
+  // Track latency of this probe and the rolling percentiles for the endpoint
+  results.latency = recordLatencySamples(endpointKey, results.tests);
+
+  // Calculate overall health from weighted tests and penalties
+  results.validation = validateEndpointResult(
+    endpointKey,
+    endpoint,
+    results,
+    scheduled
+  );
+  results.health = calculateHealth(endpoint, results);
+
+  if (results.health.critical) {
+    console.log(
+      `🚨 ${endpoint.name} is critical: ${results.health.reasons.join('; ')}`
+    );
+  }
+  results.duration = Date.now() - startTime;
+
+  console.log(
+    `✅ ${endpoint.name} test completed. Health: ${results.health.score.toFixed(
+      1
+    )}%`
+  );
+  return results;
+}
+
+// Numeric value of an RPC result: hex quantities become BigInt so large
+// balances keep their precision
+function toNumericResult(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value !== 'string') return null;
+  if (/^0x[0-9a-f]+$/i.test(value)) return BigInt(value);
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return null;
+}
+
+// Comparable form of an RPC result, ignoring the case of hex strings
+function normalizeRpcResult(value) {
+  return JSON.stringify(value, (key, item) =>
+    typeof item === 'string' ? item.toLowerCase() : item
+  );
+}
+
+// Helper function to assert a declared check's result. Returns the reason it
+// failed, or null when it passed
+function assertCheckResult(check, value, reference) {
+  switch (check.expect) {
+    case 'regex': {
+      const text = typeof value === 'string' ? value : JSON.stringify(value);
+      return new RegExp(check.pattern).test(text)
+        ? null
+        : `Result ${text} does not match ${check.pattern}`;
+    }
+    case 'range': {
+      const number = toNumericResult(value);
+      if (number === null) {
+        return `Result ${JSON.stringify(value)} is not numeric`;
+      }
+      if (check.min !== null && number < check.min) {
+        return `Result ${number} is below ${check.min}`;
+      }
+      if (check.max !== null && number > check.max) {
+        return `Result ${number} is above ${check.max}`;
+      }
+      return null;
+    }
+    case 'reference':
+      if (!reference) {
+        return 'No compare_with endpoint to compare with';
+      }
+      if (!reference.result.success) {
+        return `${reference.name} call failed: ${reference.result.error}`;
+      }
+      return normalizeRpcResult(value) ===
+        normalizeRpcResult(reference.result.result)
+        ? null
+        : `Result differs from ${reference.name}`;
+    default:
+      return value === null || value === undefined ? 'Result is null' : null;
+  }
+}
+
+// Run one declared check against an endpoint, and against its compare_with
+// endpoint when the result must match it
+async function runEndpointCheck(check, endpoint, options) {
+  const referenceEndpoint =
+    check.expect === 'reference' && endpoint.compare_with
+      ? RPC_ENDPOINTS[endpoint.compare_with]
+      : null;
+  const referenceOptions = referenceEndpoint
+    ? getRequestOptions(referenceEndpoint)
+    : null;
+
+  const [result, referenceResult] = await Promise.all([
+    makeRpcCall(
+      endpoint.url,
+      check.method,
+      check.params,
+      options.timeout,
+      options.headers
+    ),
+    referenceEndpoint
+      ? makeRpcCall(
+          referenceEndpoint.url,
+          check.method,
+          check.params,
+          referenceOptions.timeout,
+          referenceOptions.headers
+        )
+      : null,
+  ]);
+
+  if (!result.success) {
+    console.log(
+      `❌ ${endpoint.name} check ${check.name} failed: ${result.error}`
+    );
+    return {
+      ...getRpcFailure(result),
+      method: check.method,
+    };
+  }
+
+  const failure = assertCheckResult(
+    check,
+    result.result,
+    referenceEndpoint
+      ? { name: referenceEndpoint.name, result: referenceResult }
+      : null
+  );
+  if (failure) {
+    console.log(`❌ ${endpoint.name} check ${check.name} failed: ${failure}`);
+  }
+
+  return {
+    success: !failure,
+    method: check.method,
+    result: result.result,
+    ...(referenceResult && {
+      referenceResult: referenceResult.success ? referenceResult.result : null,
+    }),
+    ...(failure && { error: failure, errorClass: 'assertion_failed' }),
+    latency: result.latency,
+  };
+}
+
+// Run the declared checks of an endpoint, keyed by check name
+async function runEndpointChecks(endpoint, options) {
+  const entries = await Promise.all(
+    endpoint.checks.map(async (check) => [
+      check.name,
+      await runEndpointCheck(check, endpoint, options),
+    ])
+  );
+  return Object.fromEntries(entries);
+}
+
+// Test an external RPC endpoint (RPC and WebSocket in parallel)
+async function testExternalEndpoint(endpoint) {
+  const startTime = Date.now();
+  const [rpcResult, wsResult] = await Promise.allSettled([
+    testExternalRpc(endpoint.rpcUrl, endpoint.timeout, endpoint.headers),
+    testWebSocket(endpoint.wsUrl, endpoint.timeout, endpoint.headers),
+  ]);
+
+  const rpcTest =
+    rpcResult.status === 'fulfilled'
+      ? rpcResult.value
+      : {
+          success: false,
+          error: rpcResult.reason?.message || 'RPC test failed',
+        };
+  const wsTest =
+    wsResult.status === 'fulfilled'
+      ? wsResult.value
+      : {
+          success: false,
+          error: wsResult.reason?.message || 'WebSocket test failed',
+        };
+
+  classifyTestErrors([rpcTest, wsTest]);
+
+  // The WS probe ends seconds after the HTTP one, so compare its last head
+  // with a fresh eth_blockNumber
+  let headComparison = null;
+  if (wsTest.success && rpcTest.success) {
+    const current = await getBlockNumber(
+      endpoint.rpcUrl,
+      endpoint.name,
+      getRequestOptions(endpoint)
+    );
+    const httpBlock = current.success ? current.block : rpcTest.blockNumber;
+    headComparison = {
+      wsBlock: wsTest.headNumber,
+      httpBlock: httpBlock,
+      difference: wsTest.headNumber - httpBlock,
+    };
+  }
+
+  const fork = rpcTest.success
+    ? await checkExternalFork(
+        endpoint,
+        headComparison?.httpBlock ?? rpcTest.blockNumber
+      )
+    : null;
+
+  return {
+    key: endpoint.key,
+    name: endpoint.name,
+    chain: endpoint.chain,
+    rpcUrl: endpoint.displayRpcUrl || endpoint.rpcUrl,
+    wsUrl: endpoint.displayWsUrl || endpoint.wsUrl,
+    description: endpoint.description,
+    rpc: rpcTest,
+    websocket: wsTest,
+    headComparison: headComparison,
+    fork: fork,
+    latency: recordLatencySamples(endpoint.key, { rpc: rpcTest }),
+    overallSuccess: rpcTest.success && wsTest.success,
+    duration: Date.now() - startTime,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Check an external endpoint is on the same fork as its chain's reference
+// node. Null when fork checks are off or the reference head is unknown
+async function checkExternalFork(endpoint, block) {
+  const referenceKey = CHAIN_GROUPS[endpoint.chain]?.reference;
+  const referenceRpc = RPC_ENDPOINTS[referenceKey];
+  const referenceBlock = referenceRpc
+    ? getReferenceHead(referenceKey)?.block
+    : null;
+
+  if (!FORK_CHECK_ENABLED || referenceBlock === null) {
+    return null;
+  }
+
+  return getForkCheck(
+    endpoint.key,
+    {
+      url: endpoint.rpcUrl,
+      name: endpoint.name,
+      options: { timeout: endpoint.timeout, headers: endpoint.headers },
+    },
+    {
+      url: referenceRpc.url,
+      name: referenceRpc.name,
+      options: getRequestOptions(referenceRpc),
+    },
+    Math.min(referenceBlock, block)
+  );
+}
+
+// Emits 'endpointResult' and 'externalResult' (key, result) for every probe,
+// and 'configReloaded' after a new configuration has been applied
+const monitorEvents = new EventEmitter();
+
+// Latest probe results, refreshed in the background by the poll scheduler.
+// Main and external endpoints are keyed by endpoint key.
+const probeCache = {
+  endpoints: {},
+  external: {},
+};
+
+// Resolves once every main endpoint poll loop has completed its first run.
+// External endpoints are not waited for, as their WebSocket probes can take
+// up to WS_PROBE_TIMEOUT; until probed they are reported as pending
+let initialPollPromise = Promise.resolve();
+
+// Incremented when the scheduler restarts; older poll loops stop themselves
+let pollGeneration = 0;
+
+// Describe the age of a cached probe result and whether it is stale
+function getSnapshotInfo(entry, interval) {
+  const age = Date.now() - entry.updatedAt;
+  const staleAfter = POLL_STALE_AFTER || interval * 2;
+
+  return {
+    updatedAt: new Date(entry.updatedAt).toISOString(),
+    age: age,
+    stale: age > staleAfter,
+  };
+}
+
+// Group items by poll interval so endpoints sharing an interval are probed together
+function groupByInterval(items, getInterval) {
+  const groups = new Map();
+
+  for (const item of items) {
+    const interval = getInterval(item);
+    if (!groups.has(interval)) {
+      groups.set(interval, []);
+    }
+    groups.get(interval).push(item);
+  }
+
+  return groups;
+}
+
+// Probe a group of main RPC endpoints and store the results in the cache
+async function pollEndpointGroup(keys) {
+  // Skip endpoints removed by a config reload. Holds are checked by
+  // probeWithinBudget, so a held probe is only skipped (and logged) once
+  keys = keys.filter((key) => RPC_ENDPOINTS[key]);
+
+  // Request reference heights in the same tick as the probes, so they go out
+  // with the batches of the same round and block differences line up. A
+  // reference probed in this round shares its own eth_blockNumber call
+  const referenceKeys = new Set();
+  for (const key of keys) {
+    const compareWith = RPC_ENDPOINTS[key].compare_with;
+    if (
+      compareWith &&
+      RPC_ENDPOINTS[compareWith] &&
+      !getProbeHold(compareWith, RPC_ENDPOINTS[compareWith].url)
+    ) {
+      referenceKeys.add(compareWith);
+    }
+  }
+
+  const blockNumbers = requestBlockNumbers([...referenceKeys]);
+
+  await Promise.all(
+    keys.map(async (key) => {
+      try {
+        const endpoint = RPC_ENDPOINTS[key];
+        const result = await probeWithinBudget(
+          key,
+          endpoint.url,
+          endpoint.poll_interval,
+          () => testRpcEndpoint(key, endpoint, {}, blockNumbers, true)
+        );
+        if (!result || !RPC_ENDPOINTS[key]) return;
+        probeCache.endpoints[key] = { result, updatedAt: Date.now() };
+        monitorEvents.emit('endpointResult', key, result);
+      } catch (error) {
+        // Keep the previous snapshot; it will be flagged stale if this persists
+        console.log(`💥 Poll error for ${key}:`, error.message);
+      }
+    })
+  );
+}
+
+// Probe a group of external RPC endpoints (by key) and store the results
+async function pollExternalGroup(keys) {
+  await Promise.all(
+    keys.map(async (key) => {
+      try {
+        const endpoint = getExternalEndpoint(key);
+        if (!endpoint) return;
+
+        const result = await probeWithinBudget(
+          key,
+          endpoint.rpcUrl,
+          endpoint.pollInterval,
+          () => testExternalEndpoint(endpoint)
+        );
+        if (!result || !getExternalEndpoint(key)) return;
+        probeCache.external[key] = { result, updatedAt: Date.now() };
+        monitorEvents.emit('externalResult', key, result);
+      } catch (error) {
+        console.log(`💥 Poll error for external RPC ${key}:`, error.message);
+      }
+    })
+  );
+}
+
+// Find an external RPC endpoint by key
+function getExternalEndpoint(key) {
+  return EXTERNAL_RPC_ENDPOINTS.find((endpoint) => endpoint.key === key);
+}
+
+// Run a task now and then again `interval` ms after each run completes,
+// so a slow round never overlaps the next one
+function schedulePollLoop(label, interval, task) {
+  const generation = pollGeneration;
+  const run = async () => {
+    // The scheduler was restarted with a new configuration
+    if (generation !== pollGeneration) return;
+
+    try {
+      await task();
+    } catch (error) {
+      console.log(`💥 ${label} poll error:`, error);
+    }
+    setTimeout(run, interval);
+  };
+
+  return run();
+}
+
+// Start background polling for all main and external RPC endpoints.
+// Calling it again replaces the running poll loops. Resolves after the first
+// run of the main endpoint loops
+function startPollScheduler() {
+  const firstRuns = [];
+  pollGeneration++;
+
+  const endpointGroups = groupByInterval(
+    Object.keys(RPC_ENDPOINTS),
+    (key) => RPC_ENDPOINTS[key].poll_interval
+  );
+  for (const [interval, keys] of endpointGroups) {
+    console.log(
+      `⏱️ Polling ${keys.length} RPC endpoint(s) every ${interval}ms`
+    );
+    firstRuns.push(
+      schedulePollLoop(`RPC (${interval}ms)`, interval, () =>
+        pollEndpointGroup(keys)
+      )
+    );
+  }
+
+  const externalGroups = groupByInterval(
+    EXTERNAL_RPC_ENDPOINTS.map((endpoint) => endpoint.key),
+    (key) => getExternalEndpoint(key).pollInterval
+  );
+  for (const [interval, keys] of externalGroups) {
+    console.log(
+      `⏱️ Polling ${keys.length} external RPC endpoint(s) every ${interval}ms`
+    );
+    schedulePollLoop(`External RPC (${interval}ms)`, interval, () =>
+      pollExternalGroup(keys)
+    );
+  }
+
+  return Promise.all(firstRuns);
+}
+
+// Reload the config file and apply it if it is valid. The running
+// configuration is kept when the new one has errors
+function reloadConfig() {
+  const loaded = loadConfig();
+
+  if (!loaded.success) {
+    console.log(
+      `❌ Invalid configuration in ${loaded.source}, keeping the current one:`
+    );
+    for (const error of loaded.errors) {
+      console.log(`  - ${error}`);
+    }
+    return loaded;
+  }
+
+  activateConfig(loaded);
+
+  console.log(
+    `🔄 Configuration reloaded from ${loaded.source}: ${
+      Object.keys(RPC_ENDPOINTS).length
+    } RPC endpoints, ${EXTERNAL_RPC_ENDPOINTS.length} external RPC endpoints`
+  );
+  return loaded;
+}
+
+// Make a validated configuration active and restart polling with it
+function activateConfig(loaded) {
+  applyConfig(loaded);
+
+  // Drop cached results of endpoints that no longer exist
+  for (const key of Object.keys(probeCache.endpoints)) {
+    if (!RPC_ENDPOINTS[key]) delete probeCache.endpoints[key];
+  }
+  // References and archive settings may have changed: check again on the
+  // next probe
+  forkResults.clear();
+  archiveResults.clear();
+  for (const key of Object.keys(probeCache.external)) {
+    if (!getExternalEndpoint(key)) delete probeCache.external[key];
+  }
+
+  startPollScheduler();
+  monitorEvents.emit('configReloaded');
+}
+
+// Validate a changed raw configuration, save it to the config file and make
+// it active. Without a config file, data/config.yaml is created and used
+// from then on
+function saveEndpointConfig(raw) {
+  const file = CONFIG_FILE || CONFIG_SAVE_FILE;
+  const loaded = buildConfig(raw, file);
+  if (!loaded.success) {
+    return loaded;
+  }
+
+  try {
+    writeConfigFile(file, raw);
+  } catch (error) {
+    return {
+      success: false,
+      source: file,
+      errors: [`Cannot write ${file}: ${error.message}`],
+    };
+  }
+
+  if (!CONFIG_FILE) {
+    CONFIG_FILE = file;
+    watchConfigFile();
+    console.log(
+      `⚠️ ${file} now replaces the RPC_{N}_*, EXTERNAL_RPC_{N}_* and CHAIN_{N}_* variables, including after a restart`
+    );
+  }
+
+  activateConfig(loaded);
+  console.log(
+    `💾 Configuration saved to ${file}: ${
+      Object.keys(RPC_ENDPOINTS).length
+    } RPC endpoints, ${EXTERNAL_RPC_ENDPOINTS.length} external RPC endpoints`
+  );
+  return loaded;
+}
+
+// Watch the config file and reload it when it changes
+function watchConfigFile() {
+  if (!CONFIG_FILE) return;
+
+  console.log(`👀 Watching ${CONFIG_FILE} for changes`);
+  fs.watchFile(
+    CONFIG_FILE,
+    { interval: CONFIG_RELOAD_INTERVAL },
+    (curr, prev) => {
+      // Skip changes written by saveEndpointConfig, they are already active
+      if (curr.mtimeMs !== prev.mtimeMs && curr.mtimeMs !== configWrittenAt) {
+        reloadConfig();
+      }
+    }
+  );
+}
+
+// Get the cached result for a main endpoint with snapshot metadata attached
+function getCachedEndpointResult(endpointKey) {
+  const entry = probeCache.endpoints[endpointKey];
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    ...entry.result,
+    stream: getHeadStreamState(endpointKey),
+    snapshot: getSnapshotInfo(entry, RPC_ENDPOINTS[endpointKey].poll_interval),
+  };
+}
+
+// Health summary counts for a set of endpoint results
+function summarizeEndpoints(allEndpoints) {
+  const totalEndpoints = allEndpoints.length;
+  const countStatus = (status) =>
+    allEndpoints.filter(
+      (endpoint) => getHealthStatus(endpoint.health.score) === status
+    ).length;
+  const healthyEndpoints = countStatus('healthy');
+  const partiallyHealthyEndpoints = countStatus('degraded');
+  const unhealthyEndpoints = countStatus('unhealthy');
+
+  return {
+    total: totalEndpoints,
+    healthy: healthyEndpoints,
+    partiallyHealthy: partiallyHealthyEndpoints,
+    unhealthy: unhealthyEndpoints,
+    overallHealth:
+      totalEndpoints > 0 ? (healthyEndpoints / totalEndpoints) * 100 : 0,
+  };
+}
+
+// Per-chain summaries with each chain's reference node
+function buildChainSummaries(results) {
+  const chains = {};
+
+  for (const chain of Object.values(CHAIN_GROUPS)) {
+    chains[chain.key] = {
+      name: chain.name,
+      chainId: chain.chain_id,
+      reference: chain.reference,
+      summary: summarizeEndpoints(
+        Object.values(results).filter((result) => result.chain === chain.key)
+      ),
+    };
+  }
+
+  return chains;
+}
+
+// Build the /api/status response from the cached probe results,
+// optionally limited to one chain group
+function buildStatusResponse(chainKey = null) {
+  const allResults = {};
+  for (const key of Object.keys(RPC_ENDPOINTS)) {
+    const result = getCachedEndpointResult(key);
+    if (result) {
+      allResults[key] = result;
+    }
+  }
+
+  const results = Object.fromEntries(
+    Object.entries(allResults).filter(
+      ([key, result]) => !chainKey || result.chain === chainKey
+    )
+  );
+
+  // Calculate overall statistics
+  const allEndpoints = Object.values(results);
+  const chains = buildChainSummaries(allResults);
+  const snapshots = allEndpoints.map((endpoint) => endpoint.snapshot);
+
+  return {
+    timestamp: new Date().toISOString(),
+    snapshot: {
+      age: Math.max(0, ...snapshots.map((snapshot) => snapshot.age)),
+      stale: snapshots.some((snapshot) => snapshot.stale),
+    },
+    endpoints: results,
+    summary: summarizeEndpoints(allEndpoints),
+    chains: chainKey ? { [chainKey]: chains[chainKey] } : chains,
+  };
+}
+
+// Get the cached result for an external endpoint with snapshot metadata
+function getCachedExternalResult(endpoint) {
+  const entry = probeCache.external[endpoint.key];
+
+  if (entry) {
+    return {
+      ...entry.result,
+      stream: getHeadStreamState(endpoint.key),
+      snapshot: getSnapshotInfo(entry, endpoint.pollInterval),
+    };
+  }
+
+  return {
+    key: endpoint.key,
+    name: endpoint.name,
+    chain: endpoint.chain,
+    rpcUrl: endpoint.displayRpcUrl || endpoint.rpcUrl,
+    wsUrl: endpoint.displayWsUrl || endpoint.wsUrl,
+    description: endpoint.description,
+    rpc: { success: false, error: 'No probe result available yet' },
+    websocket: { success: false, error: 'No probe result available yet' },
+    overallSuccess: false,
+    pending: true,
+    error: 'No probe result available yet',
+    timestamp: new Date().toISOString(),
+  };
+}
+
+// Build the /api/external-rpcs/status response from the cached probe results,
+// optionally limited to one chain group
+function buildExternalStatusResponse(chainKey = null) {
+  // Filter out endpoints that shouldn't be shown in UI
+  const visibleEndpoints = EXTERNAL_RPC_ENDPOINTS.filter(
+    (endpoint) =>
+      endpoint.showInUI !== false && (!chainKey || endpoint.chain === chainKey)
+  ).map(getCachedExternalResult);
+
+  const workingEndpoints = visibleEndpoints.filter(
+    (endpoint) => endpoint.overallSuccess
+  );
+  const failedEndpoints = visibleEndpoints.filter(
+    (endpoint) => !endpoint.overallSuccess && !endpoint.pending
+  );
+
+  return {
+    timestamp: new Date().toISOString(),
+    total: visibleEndpoints.length,
+    working: workingEndpoints.length,
+    failed: failedEndpoints.length,
+    pending:
+      visibleEndpoints.length -
+      workingEndpoints.length -
+      failedEndpoints.length,
+    endpoints: visibleEndpoints,
+  };
+}
+
+// Dashboard clients receiving live probe updates over Server-Sent Events
+const eventClients = new Set();
+
+// Write one Server-Sent Event to a client
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send an event to every connected dashboard
+function broadcastEvent(event, data) {
+  for (const client of eventClients) {
+    sendEvent(client, event, data);
+  }
+}
+
+// Push every new probe result and the updated summary to the dashboards
+function startLiveUpdates() {
+  monitorEvents.on('endpointResult', (key) => {
+    if (eventClients.size === 0) return;
+
+    broadcastEvent('endpoint', { key, result: getCachedEndpointResult(key) });
+    const { summary, chains } = buildStatusResponse();
+    broadcastEvent('summary', { summary, chains });
+  });
+
+  monitorEvents.on('externalResult', (key) => {
+    if (eventClients.size === 0) return;
+
+    const endpoint = getExternalEndpoint(key);
+    if (endpoint.showInUI === false) return;
+
+    broadcastEvent('external', getCachedExternalResult(endpoint));
+  });
+
+  // Endpoints may have been added or removed: send everything again
+  monitorEvents.on('configReloaded', () => {
+    broadcastEvent('snapshot', {
+      status: buildStatusResponse(),
+      external: buildExternalStatusResponse(),
+    });
+  });
+
+  // Keep idle connections open through proxies
+  setInterval(() => {
+    for (const client of eventClients) {
+      client.write(': ping\n\n');
+    }
+  }, 25000);
+}
+
+// Persistent newHeads subscriptions keyed by endpoint key
+const headWatchers = new Map();
+
+// Main and external endpoints with a WebSocket URL, and the endpoint their
+// live lag is measured against
+function getHeadWatcherTargets() {
+  const targets = [];
+
+  for (const [key, endpoint] of Object.entries(RPC_ENDPOINTS)) {
+    if (!endpoint.ws_url) continue;
+    targets.push({
+      key: key,
+      type: 'main',
+      name: endpoint.name,
+      url: endpoint.ws_url,
+      headers: endpoint.headers,
+      reference: endpoint.compare_with,
+    });
+  }
+
+  for (const endpoint of EXTERNAL_RPC_ENDPOINTS) {
+    if (!endpoint.wsUrl || endpoint.wsUrl === PLACEHOLDER_WS_URL) continue;
+    targets.push({
+      key: endpoint.key,
+      type: 'external',
+      name: endpoint.name,
+      url: endpoint.wsUrl,
+      headers: endpoint.headers,
+      reference: CHAIN_GROUPS[endpoint.chain]?.reference || null,
+    });
+  }
+
+  return targets;
+}
+
+// Reconnect a subscription that stopped delivering heads
+function resetHeadWatcherIdleTimer(watcher) {
+  clearTimeout(watcher.idleTimer);
+  watcher.idleTimer = setTimeout(() => {
+    watcher.lastError = `No newHeads for ${HEAD_WATCHER_IDLE_TIMEOUT}ms`;
+    if (watcher.ws) watcher.ws.terminate();
+  }, HEAD_WATCHER_IDLE_TIMEOUT);
+}
+
+// Open the WebSocket of a head watcher and subscribe to newHeads. On close
+// the watcher reconnects with exponential backoff until it is stopped
+function connectHeadWatcher(watcher) {
+  if (watcher.stopped) return;
+
+  const ws = new WebSocket(watcher.url, { headers: watcher.headers });
+  let subscriptionId = null;
+  watcher.ws = ws;
+
+  ws.on('open', () => {
+    resetHeadWatcherIdleTimer(watcher);
+    ws.send(
+      JSON.stringify({
+        jsonrpc: '2.0',
+        method: 'eth_subscribe',
+        params: ['newHeads'],
+        id: 1,
+      })
+    );
+  });
+
+  ws.on('message', (data) => {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return;
+    }
+
+    if (message.id === 1) {
+      if (message.error) {
+        watcher.lastError = `eth_subscribe failed: ${
+          message.error.message || 'unknown error'
+        }`;
+        return ws.terminate();
+      }
+      subscriptionId = message.result;
+      watcher.connected = true;
+      watcher.connectedAt = Date.now();
+      watcher.lastError = null;
+      console.log(`📡 Head watcher connected: ${watcher.name}`);
+      return;
+    }
+
+    const head = message.params?.result;
+    if (
+      message.method === 'eth_subscription' &&
+      message.params.subscription === subscriptionId &&
+      head?.number
+    ) {
+      watcher.headNumber = parseInt(head.number, 16);
+      watcher.lastHeadAt = Date.now();
+      // Only a subscription that delivers heads resets the backoff
+      watcher.backoff = 1000;
+      watcher.failures = 0;
+      resetHeadWatcherIdleTimer(watcher);
+    }
+  });
+
+  ws.on('error', (error) => {
+    watcher.lastError = redactSecrets(error.message);
+  });
+
+  ws.on('close', () => {
+    clearTimeout(watcher.idleTimer);
+    watcher.connected = false;
+    watcher.ws = null;
+    if (watcher.stopped) return;
+
+    watcher.failures++;
+    if (watcher.failures >= HEAD_WATCHER_MAX_FAILURES) {
+      watcher.gaveUp = true;
+      console.log(
+        `🛑 Head watcher for ${watcher.name} gave up after ${
+          watcher.failures
+        } failed connections${
+          watcher.lastError ? ` (${watcher.lastError})` : ''
+        }`
+      );
+      return;
+    }
+
+    const delay = watcher.backoff;
+    watcher.backoff = Math.min(watcher.backoff * 2, HEAD_WATCHER_MAX_BACKOFF);
+    watcher.reconnects++;
+    console.log(
+      `🔁 Head watcher for ${watcher.name} disconnected${
+        watcher.lastError ? ` (${watcher.lastError})` : ''
+      }, reconnecting in ${delay}ms`
+    );
+    watcher.retryTimer = setTimeout(() => connectHeadWatcher(watcher), delay);
+  });
+}
+
+// Close a head watcher for good
+function stopHeadWatcher(watcher) {
+  watcher.stopped = true;
+  clearTimeout(watcher.retryTimer);
+  clearTimeout(watcher.idleTimer);
+  if (watcher.ws) watcher.ws.terminate();
+}
+
+// Start, keep or stop head watchers to match the configured endpoints.
+// Watchers whose WebSocket URL did not change keep their connection, and
+// watchers that gave up try again
+function syncHeadWatchers() {
+  const targets = getHeadWatcherTargets();
+  const keys = new Set(targets.map((target) => target.key));
+
+  for (const [key, watcher] of headWatchers) {
+    if (!keys.has(key)) {
+      stopHeadWatcher(watcher);
+      headWatchers.delete(key);
+    }
+  }
+
+  for (const target of targets) {
+    const existing = headWatchers.get(target.key);
+    if (existing && existing.url === target.url && !existing.gaveUp) {
+      Object.assign(existing, target);
+      continue;
+    }
+    if (existing) stopHeadWatcher(existing);
+
+    const watcher = {
+      ...target,
+      ws: null,
+      connected: false,
+      connectedAt: null,
+      reconnects: 0,
+      backoff: 1000,
+      failures: 0,
+      gaveUp: false,
+      headNumber: null,
+      lastHeadAt: null,
+      lastError: null,
+      stopped: false,
+      retryTimer: null,
+      idleTimer: null,
+    };
+    headWatchers.set(target.key, watcher);
+    connectHeadWatcher(watcher);
+  }
+}
+
+// Keep a newHeads subscription open for every endpoint with a WebSocket URL
+function startHeadWatchers() {
+  if (!HEAD_WATCHERS_ENABLED) return;
+
+  syncHeadWatchers();
+  console.log(`📡 Watching newHeads of ${headWatchers.size} endpoint(s)`);
+  monitorEvents.on('configReloaded', syncHeadWatchers);
+}
+
+// Latest head of the endpoint a watcher is compared with: its live stream
+// when connected, otherwise its last polled block number
+function getReferenceHead(referenceKey) {
+  const watcher = headWatchers.get(referenceKey);
+  if (watcher?.connected && watcher.headNumber !== null) {
+    return { block: watcher.headNumber, source: 'stream' };
+  }
+
+  const result = probeCache.endpoints[referenceKey]?.result;
+  if (result?.tests.blockNumber?.success) {
+    return { block: result.tests.blockNumber.block, source: 'poll' };
+  }
+
+  return null;
+}
+
+// Live stream state of an endpoint's head watcher, or null without one
+function getHeadStreamState(key) {
+  const watcher = headWatchers.get(key);
+  if (!watcher) {
+    return null;
+  }
+
+  const reference =
+    watcher.reference && watcher.headNumber !== null
+      ? getReferenceHead(watcher.reference)
+      : null;
+
+  return {
+    connected: watcher.connected,
+    connectedAt: watcher.connectedAt
+      ? new Date(watcher.connectedAt).toISOString()
+      : null,
+    reconnects: watcher.reconnects,
+    gaveUp: watcher.gaveUp,
+    headNumber: watcher.headNumber,
+    lastHeadAt: watcher.lastHeadAt
+      ? new Date(watcher.lastHeadAt).toISOString()
+      : null,
+    secondsSinceLastBlock: watcher.lastHeadAt
+      ? Math.round((Date.now() - watcher.lastHeadAt) / 100) / 10
+      : null,
+    reference: watcher.reference,
+    referenceHead: reference ? reference.block : null,
+    referenceSource: reference ? reference.source : null,
+    lag: reference ? reference.block - watcher.headNumber : null,
+    lastError: watcher.lastError,
+  };
+}
+
+// Parse a duration such as '30s', '5m', '1h', '7d' or plain milliseconds
+function parseDuration(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/);
+  if (!match) {
+    return null;
+  }
+
+  const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+  return Math.round(parseFloat(match[1]) * units[match[2] || 'ms']);
+}
+
+// Parse a timestamp given as epoch milliseconds or an ISO date string
+function parseTimestamp(value) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+
+  const time = /^\d+$/.test(value) ? parseInt(value) : Date.parse(value);
+  return isNaN(time) ? null : time;
+}
+
+// Turn a percentage value from the system monitor ("42.1", "42%") into a number
+function toPercent(value) {
+  const number = parseFloat(value);
+  return isNaN(number) ? null : number;
+}
+
+// Build a compact history record from a main endpoint probe result
+function buildEndpointHistoryRecord(result) {
+  const system = result.system
+    ? {
+        ram: toPercent(result.system.ram?.percentage),
+        cpu: toPercent(result.system.cpu?.usage),
+        disk: toPercent(result.system.disk?.usage_percent),
+      }
+    : null;
+
+  return {
+    t: Date.parse(result.timestamp),
+    success: result.tests.blockNumber?.success === true,
+    up: !isIncidentResult(result),
+    block: result.tests.blockNumber?.block ?? null,
+    blockDifference: result.blockDifference?.difference ?? null,
+    latency: result.latency?.average ?? null,
+    health: result.health.score,
+    system: system,
+  };
+}
+
+// Build a compact history record from an external endpoint probe result
+function buildExternalHistoryRecord(result) {
+  const passed = [result.rpc.success, result.websocket.success].filter(
+    Boolean
+  ).length;
+
+  return {
+    t: Date.parse(result.timestamp),
+    success: result.overallSuccess,
+    up: !isIncidentResult(result),
+    block: result.rpc.blockNumber ?? null,
+    blockDifference: null,
+    latency: result.latency?.average ?? null,
+    health: (passed / 2) * 100,
+    system: null,
+  };
+}
+
+// Directory holding the history files for an endpoint
+function getHistoryDir(endpointKey) {
+  return path.join(HISTORY_DIR, endpointKey.replace(/[^a-zA-Z0-9_-]/g, '_'));
+}
+
+// UTC day (YYYY-MM-DD) a timestamp belongs to
+function getHistoryDay(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+// Append a probe record to the endpoint's history file for the day
+async function appendHistoryRecord(endpointKey, record) {
+  try {
+    const dir = getHistoryDir(endpointKey);
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.appendFile(
+      path.join(dir, `${getHistoryDay(record.t)}.jsonl`),
+      JSON.stringify(record) + '\n'
+    );
+  } catch (error) {
+    console.log(`💥 History write error for ${endpointKey}:`, error.message);
+  }
+}
+
+// Read the records of one history file, skipping lines that fail to parse
+async function readHistoryFile(file) {
+  try {
+    const content = await fs.promises.readFile(file, 'utf8');
+    const records = [];
+
+    for (const line of content.split('\n')) {
+      if (!line) continue;
+      try {
+        records.push(JSON.parse(line));
+      } catch (error) {
+        // Partially written line, ignore it
+      }
+    }
+
+    return records;
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log(`💥 History read error for ${file}:`, error.message);
+    }
+    return [];
+  }
+}
+
+// Read all history records for an endpoint between two timestamps
+async function readHistory(endpointKey, from, to) {
+  const dir = getHistoryDir(endpointKey);
+  const records = [];
+
+  // Walk day by day; downsampled files replace raw ones for older days
+  const firstDay = Date.parse(getHistoryDay(from));
+  for (let day = firstDay; day <= to; day += 86400000) {
+    const name = getHistoryDay(day);
+    for (const suffix of ['.downsampled.jsonl', '.jsonl']) {
+      for (const record of await readHistoryFile(
+        path.join(dir, `${name}${suffix}`)
+      )) {
+        if (record.t >= from && record.t <= to) {
+          records.push(record);
+        }
+      }
+    }
+  }
+
+  return records.sort((a, b) => a.t - b.t);
+}
+
+// Weighted average of a numeric field across records, ignoring nulls
+function averageField(records, getValue) {
+  let total = 0;
+  let weight = 0;
+
+  for (const record of records) {
+    const value = getValue(record);
+    if (value !== null && value !== undefined) {
+      const samples = record.samples || 1;
+      total += value * samples;
+      weight += samples;
+    }
+  }
+
+  return weight > 0 ? Math.round((total / weight) * 100) / 100 : null;
+}
+
+// Collapse records into one point per `resolution` ms bucket
+function downsampleHistory(records, resolution) {
+  const buckets = new Map();
+
+  for (const record of records) {
+    const bucket = Math.floor(record.t / resolution) * resolution;
+    if (!buckets.has(bucket)) {
+      buckets.set(bucket, []);
+    }
+    buckets.get(bucket).push(record);
+  }
+
+  return [...buckets.entries()].map(([bucket, items]) => {
+    const blocks = items
+      .map((item) => item.block)
+      .filter((block) => block !== null && block !== undefined);
+    const hasSystem = items.some((item) => item.system);
+
+    return {
+      t: bucket,
+      samples: items.reduce((sum, item) => sum + (item.samples || 1), 0),
+      success: averageField(items, (item) =>
+        item.samples ? item.success : item.success ? 1 : 0
+      ),
+      up: averageField(items, (item) =>
+        item.samples ? isRecordUp(item) : isRecordUp(item) ? 1 : 0
+      ),
+      block: blocks.length > 0 ? Math.max(...blocks) : null,
+      blockDifference: averageField(items, (item) => item.blockDifference),
+      latency: averageField(items, (item) => item.latency),
+      health: averageField(items, (item) => item.health),
+      system: hasSystem
+        ? {
+            ram: averageField(items, (item) => item.system?.ram),
+            cpu: averageField(items, (item) => item.system?.cpu),
+            disk: averageField(items, (item) => item.system?.disk),
+          }
+        : null,
+    };
+  });
+}
+
+// Downsample raw day files past the raw retention and delete expired files
+async function compactHistory() {
+  const resolution = parseDuration(HISTORY_DOWNSAMPLE_RESOLUTION) || 300000;
+  const today = Date.parse(getHistoryDay(Date.now()));
+  const rawCutoff = today - HISTORY_RAW_RETENTION_DAYS * 86400000;
+  const retentionCutoff = today - HISTORY_RETENTION_DAYS * 86400000;
+
+  let endpointDirs;
+  try {
+    endpointDirs = await fs.promises.readdir(HISTORY_DIR);
+  } catch (error) {
+    return; // Nothing recorded yet
+  }
+
+  for (const endpointDir of endpointDirs) {
+    const dir = path.join(HISTORY_DIR, endpointDir);
+
+    try {
+      for (const file of await fs.promises.readdir(dir)) {
+        const match = file.match(
+          /^(\d{4}-\d{2}-\d{2})(\.downsampled)?\.jsonl$/
+        );
+        if (!match) continue;
+
+        const day = Date.parse(match[1]);
+        const filePath = path.join(dir, file);
+
+        if (day < retentionCutoff) {
+          await fs.promises.unlink(filePath);
+          console.log(`🧹 Removed expired history file ${filePath}`);
+        } else if (day < rawCutoff && !match[2]) {
+          const records = await readHistoryFile(filePath);
+          const downsampled = downsampleHistory(records, resolution);
+          const target = path.join(dir, `${match[1]}.downsampled.jsonl`);
+
+          await fs.promises.writeFile(
+            `${target}.tmp`,
+            downsampled.map((record) => JSON.stringify(record) + '\n').join('')
+          );
+          await fs.promises.rename(`${target}.tmp`, target);
+          await fs.promises.unlink(filePath);
+          console.log(
+            `🗜️ Downsampled ${filePath} (${records.length} -> ${downsampled.length} records)`
+          );
+        }
+      }
+    } catch (error) {
+      console.log(`💥 History compaction error for ${dir}:`, error.message);
+    }
+  }
+}
+
+// Record every probe result and compact old history periodically
+function startHistoryRecorder() {
+  if (!HISTORY_ENABLED) {
+    console.log('⚠️ Probe history disabled (HISTORY_ENABLED=false)');
+    return;
+  }
+
+  console.log(`🗄️ Recording probe history to ${HISTORY_DIR}`);
+
+  monitorEvents.on('endpointResult', (key, result) => {
+    appendHistoryRecord(key, buildEndpointHistoryRecord(result));
+  });
+  monitorEvents.on('externalResult', (key, result) => {
+    appendHistoryRecord(key, buildExternalHistoryRecord(result));
+  });
+
+  compactHistory();
+  setInterval(compactHistory, 6 * 3600000);
+}
+
+// Whether a history record counts as up: its probe did not open or keep an
+// incident (see isIncidentResult). Records written before `up` existed fall
+// back to `success`. Downsampled records hold the fraction of up probes
+function isRecordUp(record) {
+  return record.up ?? record.success;
+}
+
+// Availability, incidents and MTTR of an endpoint over a set of history
+// records. A record is down when its probe counts as an incident (downsampled
+// records when most of their probes did); an incident lasts from the first
+// down record to the next up record
+function calculateAvailability(records, windowEnd) {
+  let samples = 0;
+  let upSamples = 0;
+  let incidents = 0;
+  let downtime = 0;
+  let downSince = null;
+  const recoveries = [];
+
+  for (const record of records) {
+    const weight = record.samples || 1;
+    const up = Number(isRecordUp(record));
+    samples += weight;
+    upSamples += up * weight;
+
+    if (up < 0.5 && downSince === null) {
+      downSince = record.t;
+      incidents++;
+    } else if (up >= 0.5 && downSince !== null) {
+      recoveries.push(record.t - downSince);
+      downtime += record.t - downSince;
+      downSince = null;
+    }
+  }
+
+  if (downSince !== null) {
+    downtime += windowEnd - downSince;
+  }
+
+  return {
+    availability:
+      samples > 0 ? Math.round((upSamples / samples) * 100000) / 1000 : null,
+    samples,
+    incidents,
+    ongoing: downSince !== null,
+    downtime,
+    mttr:
+      recoveries.length > 0
+        ? Math.round(
+            recoveries.reduce((sum, time) => sum + time, 0) / recoveries.length
+          )
+        : null,
+  };
+}
+
+// Uptime report of every main and external endpoint for all SLA windows
+async function buildSlaReport() {
+  const now = Date.now();
+  const longest = Math.max(...SLA_WINDOWS.map(parseDuration));
+  const targets = [
+    ...Object.entries(RPC_ENDPOINTS).map(([key, endpoint]) => ({
+      key,
+      endpoint,
+      type: 'main',
+    })),
+    ...EXTERNAL_RPC_ENDPOINTS.map((endpoint) => ({
+      key: endpoint.key,
+      endpoint,
+      type: 'external',
+    })),
+  ];
+  const endpoints = [];
+
+  for (const { key, endpoint, type } of targets) {
+    const records = await readHistory(key, now - longest, now);
+    const windows = {};
+
+    for (const window of SLA_WINDOWS) {
+      const from = now - parseDuration(window);
+      windows[window] = calculateAvailability(
+        records.filter((record) => record.t >= from),
+        now
+      );
+    }
+
+    endpoints.push({
+      key,
+      name: endpoint.name,
+      type,
+      chain: endpoint.chain,
+      windows,
+    });
+  }
+
+  return {
+    generatedAt: new Date(now).toISOString(),
+    windows: SLA_WINDOWS,
+    endpoints,
+  };
+}
+
+// Last computed SLA report, reused for SLA_CACHE_TTL
+let slaReportCache = null;
+
+// Cached uptime report, rebuilt when older than SLA_CACHE_TTL
+async function getSlaReport() {
+  if (!slaReportCache || Date.now() - slaReportCache.time > SLA_CACHE_TTL) {
+    slaReportCache = { time: Date.now(), report: await buildSlaReport() };
+  }
+  return slaReportCache.report;
+}
+
+// Flatten an SLA report into CSV, one row per endpoint and window
+function formatSlaCsv(report) {
+  const rows = [
+    [
+      'type',
+      'key',
+      'name',
+      'chain',
+      'window',
+      'availability_percent',
+      'samples',
+      'incidents',
+      'downtime_seconds',
+      'mttr_seconds',
+    ],
+  ];
+
+  for (const endpoint of report.endpoints) {
+    for (const [window, stats] of Object.entries(endpoint.windows)) {
+      rows.push([
+        endpoint.type,
+        endpoint.key,
+        endpoint.name,
+        endpoint.chain || '',
+        window,
+        stats.availability ?? '',
+        stats.samples,
+        stats.incidents,
+        Math.round(stats.downtime / 1000),
+        stats.mttr === null ? '' : Math.round(stats.mttr / 1000),
+      ]);
+    }
+  }
+
+  return rows
+    .map((row) =>
+      row
+        .map((value) =>
+          /[",\n]/.test(String(value))
+            ? `"${String(value).replace(/"/g, '""')}"`
+            : value
+        )
+        .join(',')
+    )
+    .join('\n');
+}
+
+// Per rule and endpoint alert state, keyed by `${ruleId}:${endpointKey}`
+const alertStates = new Map();
+
+let smtpTransport = null;
+
+// Lazily create the SMTP transport for email notifiers
+function getSmtpTransport() {
+  if (!smtpTransport) {
+    smtpTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return smtpTransport;
+}
+
+// Human readable one-line summary of an alert
+function formatAlertMessage(alert, status) {
+  const prefix = status === 'resolved' ? '✅ RESOLVED' : '🚨 FIRING';
+  const value = alert.value !== null ? ` (value: ${alert.value})` : '';
+  const threshold =
+    alert.threshold !== null ? ` [threshold: ${alert.threshold}]` : '';
+  return `${prefix}: ${alert.name} on ${alert.endpointName}${value}${threshold}`;
+}
+
+// Send an alert notification to a single notifier
+async function sendAlertNotification(notifier, alert, status) {
+  const message = formatAlertMessage(alert, status);
+
+  if (notifier.type === 'webhook') {
+    await axios.post(
+      notifier.url,
+      { status, alert, timestamp: new Date().toISOString() },
+      { timeout: 10000 }
+    );
+  } else if (notifier.type === 'slack') {
+    await axios.post(
+      notifier.url,
+      {
+        text: message,
+        attachments: [
+          {
+            color:
+              status === 'resolved'
+                ? 'good'
+                : alert.severity === 'critical'
+                ? 'danger'
+                : 'warning',
+            fields: [
+              { title: 'Endpoint', value: alert.endpoint, short: true },
+              { title: 'Severity', value: alert.severity, short: true },
+              { title: 'Started', value: alert.startedAt, short: true },
+              ...(alert.resolvedAt
+                ? [{ title: 'Resolved', value: alert.resolvedAt, short: true }]
+                : []),
+            ],
+          },
+        ],
+      },
+      { timeout: 10000 }
+    );
+  } else if (notifier.type === 'email') {
+    await getSmtpTransport().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: notifier.to,
+      subject: `[RPC Monitor] ${message}`,
+      text: `${message}\n\n${JSON.stringify(alert, null, 2)}`,
+    });
+  }
+}
+
+// Send an alert to every notifier the rule routes to
+async function dispatchAlert(rule, alert, status) {
+  const notifiers = ALERT_NOTIFIERS.filter(
+    (notifier) => !rule.notify || rule.notify.includes(notifier.name)
+  );
+
+  console.log(formatAlertMessage(alert, status));
+
+  await Promise.all(
+    notifiers.map(async (notifier) => {
+      try {
+        await sendAlertNotification(notifier, alert, status);
+      } catch (error) {
+        console.log(
+          `💥 Alert notification via ${notifier.name} failed:`,
+          error.message
+        );
+      }
+    })
+  );
+}
+
+// Whether a test failed because the endpoint is down rather than rate limited
+function isDownFailure(test) {
+  return !test?.success && test?.errorClass !== 'rate_limited';
+}
+
+// Evaluate all alert rules against a probe result and fire/resolve alerts.
+// An alert fires after `for` consecutive failing checks, resolves after
+// `resolve_after` consecutive passing checks and is not re-sent while firing
+// (unless `repeat_interval` is set), so a flapping node doesn't spam.
+function evaluateAlertRules(endpointKey, result, endpoint) {
+  for (const rule of ALERT_RULES) {
+    if (rule.endpoints && !rule.endpoints.includes(endpointKey)) continue;
+
+    const evaluation = ALERT_RULE_TYPES[rule.type].evaluate(
+      rule,
+      result,
+      endpoint
+    );
+    if (!evaluation) continue;
+
+    const stateKey = `${rule.id}:${endpointKey}`;
+    const state = alertStates.get(stateKey) || {
+      failCount: 0,
+      okCount: 0,
+      alert: null,
+    };
+    alertStates.set(stateKey, state);
+
+    if (evaluation.firing) {
+      state.failCount++;
+      state.okCount = 0;
+
+      if (!state.alert && state.failCount >= rule.for) {
+        state.alert = {
+          rule: rule.id,
+          type: rule.type,
+          name: rule.name,
+          severity: rule.severity,
+          endpoint: endpointKey,
+          endpointName: result.name,
+          value: evaluation.value,
+          threshold: rule.threshold,
+          startedAt: new Date().toISOString(),
+          resolvedAt: null,
+        };
+        state.lastNotifiedAt = Date.now();
+        dispatchAlert(rule, state.alert, 'firing');
+      } else if (state.alert) {
+        state.alert.value = evaluation.value;
+        if (
+          rule.repeat_interval > 0 &&
+          Date.now() - state.lastNotifiedAt >= rule.repeat_interval
+        ) {
+          state.lastNotifiedAt = Date.now();
+          dispatchAlert(rule, state.alert, 'firing');
+        }
+      }
+    } else {
+      state.okCount++;
+      state.failCount = 0;
+
+      if (state.alert && state.okCount >= rule.resolve_after) {
+        const resolved = {
+          ...state.alert,
+          value: evaluation.value,
+          resolvedAt: new Date().toISOString(),
+        };
+        state.alert = null;
+        dispatchAlert(rule, resolved, 'resolved');
+      }
     }
   }
+}
 
-  console.log(`❌ ${rpcName} sync status failed: ${result.error}`);
-  return { success: false, error: result.error };
+// Evaluate alert rules against every probe result
+function startAlertEngine() {
+  if (ALERT_RULES.length === 0) {
+    return;
+  }
+
+  console.log(
+    `🚨 Alerting enabled: ${ALERT_RULES.length} rule(s), ${ALERT_NOTIFIERS.length} notifier(s)`
+  );
+
+  monitorEvents.on('endpointResult', (key, result) => {
+    evaluateAlertRules(key, result, RPC_ENDPOINTS[key]);
+  });
+  monitorEvents.on('externalResult', (key, result) => {
+    evaluateAlertRules(key, result, null);
+  });
 }
 
-// Get system resources for a specific node
-async function getNodeSystemResources(nodeName, systemUrl) {
-  if (!systemUrl) {
-    console.log(`⚠️ No system monitor URL configured for ${nodeName}`);
-    return null;
+// All known incidents (newest last) and the good probe count of endpoints
+// with an open incident
+let incidents = [];
+const incidentRecoveries = new Map();
+
+// Pending incident file write, so writes never overlap
+let incidentSave = Promise.resolve();
+
+// Whether a probe result counts as an outage: a critical health failure, a
+// health score below HEALTH_DEGRADED_THRESHOLD or lagging more than
+// INCIDENT_LAG_THRESHOLD blocks for main endpoints, a failed RPC or
+// WebSocket check for external ones
+function isIncidentResult(result) {
+  if (!result.tests) {
+    return !result.overallSuccess;
+  }
+
+  return (
+    result.health.critical ||
+    result.health.score < HEALTH_DEGRADED_THRESHOLD ||
+    (result.blockDifference?.difference ?? 0) > INCIDENT_LAG_THRESHOLD
+  );
+}
+
+// Failed test and its error that explain why a probe counts as an outage
+function getIncidentCause(result) {
+  if (!result.tests) {
+    const test = result.rpc.success ? 'websocket' : 'rpc';
+    return { test, error: result[test].error || null };
+  }
+
+  const failed = Object.entries(result.tests).find(([, test]) => !test.success);
+  if (failed) {
+    return { test: failed[0], error: failed[1].error || null };
+  }
+  if (result.health.reasons.length > 0) {
+    return { test: null, error: result.health.reasons[0] };
+  }
+  if ((result.blockDifference?.difference ?? 0) > INCIDENT_LAG_THRESHOLD) {
+    return {
+      test: null,
+      error: `${result.blockDifference.difference} blocks behind the reference`,
+    };
   }
+  return {
+    test: null,
+    error: `Health score ${result.health.score.toFixed(1)}%`,
+  };
+}
+
+// Queue a write of all incidents to INCIDENTS_FILE
+function saveIncidents() {
+  incidentSave = incidentSave.then(writeIncidents);
+}
+
+// Write all incidents to INCIDENTS_FILE, dropping closed ones past retention
+async function writeIncidents() {
+  const cutoff = Date.now() - INCIDENT_RETENTION_DAYS * 86400000;
+  incidents = incidents.filter(
+    (incident) =>
+      !incident.resolvedAt || Date.parse(incident.resolvedAt) >= cutoff
+  );
 
   try {
-    console.log(
-      `🌐 Getting system resources for ${nodeName} from: ${systemUrl}`
+    await fs.promises.mkdir(path.dirname(INCIDENTS_FILE), { recursive: true });
+    await fs.promises.writeFile(
+      `${INCIDENTS_FILE}.tmp`,
+      JSON.stringify(incidents, null, 2)
     );
+    await fs.promises.rename(`${INCIDENTS_FILE}.tmp`, INCIDENTS_FILE);
+  } catch (error) {
+    console.log('💥 Incident write error:', error.message);
+  }
+}
 
-    const response = await axios.get(systemUrl, {
-      timeout: 10000,
-    });
+// Close an open incident and notify the dashboards
+function closeIncident(incident, reason) {
+  incident.status = 'resolved';
+  incident.resolvedAt = new Date().toISOString();
+  incident.duration =
+    Date.parse(incident.resolvedAt) - Date.parse(incident.startedAt);
+  incident.resolution = reason;
+  incidentRecoveries.delete(incident.endpoint);
 
-    if (response.data && response.data.success) {
-      console.log(`✅ System resources for ${nodeName} retrieved successfully`);
-      return {
-        ram: response.data.ram,
-        disk: response.data.disk,
-        cpu: response.data.cpu,
+  console.log(
+    `✅ Incident ${incident.id} on ${
+      incident.endpointName
+    } resolved after ${Math.round(incident.duration / 1000)}s`
+  );
+  broadcastEvent('incident', incident);
+  saveIncidents();
+}
+
+// Open, update or close the incident of an endpoint for a probe result
+function trackIncident(endpointKey, result, type) {
+  const open = incidents.find(
+    (incident) => incident.endpoint === endpointKey && !incident.resolvedAt
+  );
+  const lag = result.blockDifference?.difference ?? null;
+
+  if (isIncidentResult(result)) {
+    incidentRecoveries.delete(endpointKey);
+
+    if (!open) {
+      const incident = {
+        id: `${endpointKey}-${Date.now()}`,
+        endpoint: endpointKey,
+        endpointName: result.name,
+        type,
+        chain: result.chain || null,
+        status: 'open',
+        startedAt: result.timestamp,
+        resolvedAt: null,
+        duration: null,
+        cause: getIncidentCause(result),
+        peakLag: lag,
+        lowestScore: result.health?.score ?? null,
+        probes: 1,
+        resolution: null,
       };
-    } else {
-      console.log(`❌ System resources for ${nodeName} failed`);
-      return null;
+      incidents.push(incident);
+
+      console.log(
+        `🔥 Incident opened on ${result.name}: ${
+          incident.cause.test ? `${incident.cause.test}: ` : ''
+        }${incident.cause.error}`
+      );
+      broadcastEvent('incident', incident);
+      saveIncidents();
+      return;
+    }
+
+    open.probes++;
+    if (lag !== null && (open.peakLag === null || lag > open.peakLag)) {
+      open.peakLag = lag;
+      saveIncidents();
+    }
+    if (
+      result.health &&
+      (open.lowestScore === null || result.health.score < open.lowestScore)
+    ) {
+      open.lowestScore = result.health.score;
+      saveIncidents();
+    }
+    return;
+  }
+
+  if (open) {
+    const recoveries = (incidentRecoveries.get(endpointKey) || 0) + 1;
+    incidentRecoveries.set(endpointKey, recoveries);
+    if (recoveries >= INCIDENT_RESOLVE_AFTER) {
+      closeIncident(open, 'recovered');
     }
-  } catch (error) {
-    console.log(`💥 System resources for ${nodeName} error: ${error.message}`);
-    return null;
   }
 }
 
-// Get local system RAM usage
-async function getLocalRamUsage() {
+// Incidents matching the /api/incidents filters, newest first
+function filterIncidents(query) {
+  const from = query.from ? parseTimestamp(query.from) : null;
+  const to = query.to ? parseTimestamp(query.to) : null;
+
+  return incidents
+    .filter(
+      (incident) =>
+        (!query.endpoint || incident.endpoint === query.endpoint) &&
+        (!query.chain || incident.chain === query.chain) &&
+        (!query.type || incident.type === query.type) &&
+        (!query.status || incident.status === query.status) &&
+        (from === null ||
+          !incident.resolvedAt ||
+          Date.parse(incident.resolvedAt) >= from) &&
+        (to === null || Date.parse(incident.startedAt) <= to)
+    )
+    .reverse();
+}
+
+// Load stored incidents and track incidents from every probe result
+function startIncidentTracker() {
   try {
-    console.log('🧠 Getting local RAM usage...');
+    incidents = JSON.parse(fs.readFileSync(INCIDENTS_FILE, 'utf8'));
+    console.log(
+      `🔥 Loaded ${incidents.length} incident(s) from ${INCIDENTS_FILE}`
+    );
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.log('💥 Incident read error:', error.message);
+    }
+  }
 
-    const totalMem = os.totalmem();
-    const freeMem = os.freemem();
-    const usedMem = totalMem - freeMem;
-    const percentage = ((usedMem / totalMem) * 100).toFixed(1);
+  monitorEvents.on('endpointResult', (key, result) => {
+    trackIncident(key, result, 'main');
+  });
+  monitorEvents.on('externalResult', (key, result) => {
+    trackIncident(key, result, 'external');
+  });
 
-    const ramInfo = {
-      success: true,
-      total: `${(totalMem / 1024 / 1024 / 1024).toFixed(1)}GB`,
-      used: `${(usedMem / 1024 / 1024 / 1024).toFixed(1)}GB`,
-      available: `${(freeMem / 1024 / 1024 / 1024).toFixed(1)}GB`,
-      percentage: percentage,
-    };
+  // Endpoints removed from the config never recover, close their incidents
+  monitorEvents.on('configReloaded', () => {
+    for (const incident of incidents) {
+      const known =
+        RPC_ENDPOINTS[incident.endpoint] ||
+        EXTERNAL_RPC_ENDPOINTS.some(
+          (endpoint) => endpoint.key === incident.endpoint
+        );
+      if (!incident.resolvedAt && !known) {
+        closeIncident(incident, 'endpoint removed');
+      }
+    }
+  });
+}
 
-    console.log(`✅ Local RAM usage: ${percentage}%`);
-    return ramInfo;
-  } catch (error) {
-    console.log(`💥 Local RAM usage error:`, error);
-    return { success: false, error: error.message };
+// Proxy routing counters, overall and per upstream endpoint key
+const proxyStats = {
+  requests: 0,
+  failed: 0,
+  websocketConnections: 0,
+  upstreams: new Map(),
+};
+
+// Routing counters of an upstream, created on first use
+function getProxyUpstreamStats(key) {
+  if (!proxyStats.upstreams.has(key)) {
+    proxyStats.upstreams.set(key, {
+      requests: 0,
+      successes: 0,
+      failures: 0,
+      failovers: 0,
+      totalLatency: 0,
+      websocketConnections: 0,
+      activeWebsockets: 0,
+      lastError: null,
+      lastErrorAt: null,
+      lastUsedAt: null,
+    });
   }
+  return proxyStats.upstreams.get(key);
 }
 
-// Get local disk usage
-async function getLocalDiskUsage() {
-  try {
-    console.log('💾 Getting local disk usage...');
+// Chain served by the proxy when the request path names none
+function getDefaultProxyChain() {
+  return PROXY_CHAIN || Object.keys(CHAIN_GROUPS)[0] || null;
+}
 
-    // Get disk usage for the current directory
-    const result = await execAsync('df -h .');
-    const lines = result.stdout.trim().split('\n');
+// Main endpoints of a chain ordered by routing preference: highest health
+// score, then lowest lag, then lowest latency. Each entry says whether the
+// endpoint may receive traffic and, if not, why
+function rankProxyUpstreams(chainKey) {
+  const candidates = [];
 
-    if (lines.length >= 2) {
-      const parts = lines[1].split(/\s+/);
+  for (const [key, endpoint] of Object.entries(RPC_ENDPOINTS)) {
+    if (chainKey && endpoint.chain !== chainKey) continue;
+
+    const result = getCachedEndpointResult(key);
+    const streamLag = result?.stream?.connected ? result.stream.lag : null;
+    const lag = streamLag ?? result?.blockDifference?.difference ?? 0;
+    let reason = null;
+
+    if (!result) {
+      reason = 'Not probed yet';
+    } else if (result.snapshot?.stale) {
+      reason = 'Stale probe result';
+    } else if (result.health.critical || !result.tests.blockNumber?.success) {
+      reason = 'Unhealthy';
+    } else if (lag > PROXY_MAX_LAG) {
+      reason = `${lag} blocks behind (max ${PROXY_MAX_LAG})`;
+    }
 
-      if (parts.length >= 5) {
-        const diskInfo = {
-          success: true,
-          total: parts[1],
-          used: parts[2],
-          available: parts[3],
-          usage_percent: parts[4].replace('%', ''),
-        };
+    candidates.push({
+      key,
+      endpoint,
+      name: endpoint.name,
+      eligible: reason === null,
+      reason,
+      score: result ? result.health.score : null,
+      lag: result ? lag : null,
+      latency: result?.latency?.average ?? null,
+    });
+  }
 
-        console.log(`✅ Local disk usage: ${diskInfo.usage_percent}%`);
-        return diskInfo;
-      }
-    }
+  return candidates.sort(
+    (a, b) =>
+      b.eligible - a.eligible ||
+      (b.score ?? -1) - (a.score ?? -1) ||
+      (a.lag ?? Infinity) - (b.lag ?? Infinity) ||
+      (a.latency ?? Infinity) - (b.latency ?? Infinity)
+  );
+}
 
-    console.log(`❌ Could not parse local disk usage`);
-    return { success: false, error: 'Could not parse disk usage' };
-  } catch (error) {
-    console.log(`💥 Local disk usage error:`, error);
-    return { success: false, error: error.message };
+// JSON-RPC error response for requests the proxy cannot serve
+function proxyErrorResponse(body, message, code = -32603) {
+  const error = (item) => ({
+    jsonrpc: '2.0',
+    id: item?.id ?? null,
+    error: { code, message },
+  });
+  return Array.isArray(body) ? body.map(error) : error(body);
+}
+
+// Whether a proxy request (HTTP or WebSocket upgrade) carries PROXY_TOKEN
+function isProxyAuthorized(req) {
+  if (!PROXY_TOKEN) {
+    return true;
   }
+  const [scheme, value = ''] = (req.headers.authorization || '').split(' ');
+  const token = /^bearer$/i.test(scheme)
+    ? value
+    : new URL(req.url, 'http://localhost').searchParams.get('token');
+  return Boolean(token) && secretsMatch(token, PROXY_TOKEN);
 }
 
-// Get local CPU usage
-async function getLocalCpuUsage() {
-  try {
-    console.log('⚡ Getting local CPU usage...');
+// Forward an HTTP JSON-RPC request, failing over to the next upstream on
+// network errors, timeouts, HTTP 429 and 5xx responses
+async function forwardProxyRequest(chainKey, body) {
+  const upstreams = rankProxyUpstreams(chainKey)
+    .filter((upstream) => upstream.eligible)
+    .slice(0, PROXY_MAX_ATTEMPTS);
 
-    // Get CPU usage using top command
-    const result = await execAsync(
-      "top -l 1 | grep 'CPU usage' | awk '{print $3}' | sed 's/%//'"
-    );
-    const cpuUsage = parseFloat(result.stdout.trim());
+  proxyStats.requests++;
 
-    if (!isNaN(cpuUsage)) {
-      const cpuInfo = {
-        success: true,
-        usage: cpuUsage.toFixed(1),
-        cores: os.cpus().length,
-        model: os.cpus()[0].model,
-      };
+  for (const [index, upstream] of upstreams.entries()) {
+    const stats = getProxyUpstreamStats(upstream.key);
+    const startTime = Date.now();
+    stats.requests++;
+    stats.lastUsedAt = new Date().toISOString();
 
-      console.log(`✅ Local CPU usage: ${cpuInfo.usage}%`);
-      return cpuInfo;
+    try {
+      const response = await axios.post(upstream.endpoint.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          ...upstream.endpoint.headers,
+        },
+        timeout: PROXY_TIMEOUT,
+        validateStatus: (status) => status < 500 && status !== 429,
+      });
+
+      stats.successes++;
+      stats.totalLatency += Date.now() - startTime;
+      return { status: response.status, data: response.data };
+    } catch (error) {
+      stats.failures++;
+      stats.lastError = redactSecrets(error.message);
+      stats.lastErrorAt = new Date().toISOString();
+
+      if (index < upstreams.length - 1) {
+        stats.failovers++;
+        console.log(
+          `🔀 Proxy failover from ${upstream.name} to ${
+            upstreams[index + 1].name
+          }: ${stats.lastError}`
+        );
+      }
     }
+  }
 
-    // Fallback to os.loadavg() if top command fails
-    const loadAvg = os.loadavg();
-    const cpuInfo = {
-      success: true,
-      usage: 'N/A (using load average)',
-      loadAverage: {
-        '1min': loadAvg[0].toFixed(2),
-        '5min': loadAvg[1].toFixed(2),
-        '15min': loadAvg[2].toFixed(2),
-      },
-      cores: os.cpus().length,
-      model: os.cpus()[0].model,
-    };
+  proxyStats.failed++;
+  return {
+    status: 502,
+    data: proxyErrorResponse(
+      body,
+      upstreams.length > 0
+        ? 'All upstream endpoints failed'
+        : 'No healthy upstream endpoint'
+    ),
+  };
+}
 
-    console.log(`✅ Local CPU load average: ${loadAvg[0].toFixed(2)} (1min)`);
-    return cpuInfo;
-  } catch (error) {
-    console.log(`💥 Local CPU usage error:`, error);
-    return { success: false, error: error.message };
-  }
+// Connect a proxy WebSocket client to the best upstream with a WebSocket
+// URL. Messages sent before the upstream is open are queued. Subscriptions
+// cannot move between nodes, so the client is disconnected when its
+// upstream closes and reconnects to the then best upstream
+function proxyWebSocket(client, chainKey) {
+  const upstreams = rankProxyUpstreams(chainKey)
+    .filter((upstream) => upstream.eligible && upstream.endpoint.ws_url)
+    .slice(0, PROXY_MAX_ATTEMPTS);
+  const pending = [];
+  let upstreamSocket = null;
+
+  proxyStats.websocketConnections++;
+  client.on('message', (message) => {
+    if (upstreamSocket?.readyState === WebSocket.OPEN) {
+      upstreamSocket.send(message.toString());
+    } else {
+      pending.push(message.toString());
+    }
+  });
+  client.on('close', () => upstreamSocket?.close());
+  client.on('error', () => upstreamSocket?.close());
+
+  const connect = (index) => {
+    const upstream = upstreams[index];
+    if (!upstream) {
+      proxyStats.failed++;
+      client.close(1013, 'No healthy upstream endpoint');
+      return;
+    }
+
+    const stats = getProxyUpstreamStats(upstream.key);
+    const socket = new WebSocket(upstream.endpoint.ws_url, {
+      headers: upstream.endpoint.headers,
+      handshakeTimeout: PROXY_TIMEOUT,
+    });
+    let opened = false;
+    let failed = false;
+
+    socket.on('open', () => {
+      opened = true;
+      upstreamSocket = socket;
+      stats.websocketConnections++;
+      stats.activeWebsockets++;
+      stats.lastUsedAt = new Date().toISOString();
+      if (client.readyState !== WebSocket.OPEN) {
+        socket.close();
+        return;
+      }
+      pending.splice(0).forEach((message) => socket.send(message));
+    });
+    socket.on('message', (message) => {
+      if (client.readyState === WebSocket.OPEN) {
+        client.send(message.toString());
+      }
+    });
+    socket.on('error', (error) => {
+      failed = true;
+      stats.failures++;
+      stats.lastError = redactSecrets(error.message);
+      stats.lastErrorAt = new Date().toISOString();
+    });
+    socket.on('close', () => {
+      if (opened) {
+        stats.activeWebsockets--;
+        if (failed) {
+          client.close(1011, 'Upstream error');
+        } else {
+          client.close(1001, 'Upstream closed');
+        }
+      } else if (client.readyState === WebSocket.OPEN) {
+        if (upstreams[index + 1]) {
+          stats.failovers++;
+          console.log(
+            `🔀 Proxy WebSocket failover from ${upstream.name} to ${
+              upstreams[index + 1].name
+            }`
+          );
+        }
+        connect(index + 1);
+      }
+    });
+  };
+
+  connect(0);
 }
 
-// Get all local system resources
-async function getLocalSystemResources() {
-  const ramUsage = await getLocalRamUsage();
-  const diskUsage = await getLocalDiskUsage();
-  const cpuUsage = await getLocalCpuUsage();
+// Per-upstream routing stats and the current ranking of every chain
+function getProxyStatus() {
+  const chains = {};
+  for (const chainKey of Object.keys(CHAIN_GROUPS)) {
+    chains[chainKey] = rankProxyUpstreams(chainKey).map(
+      ({ endpoint, ...upstream }) => upstream
+    );
+  }
 
   return {
-    ram: ramUsage,
-    disk: diskUsage,
-    cpu: cpuUsage,
+    port: PROXY_PORT,
+    defaultChain: getDefaultProxyChain(),
+    maxLag: PROXY_MAX_LAG,
+    requests: proxyStats.requests,
+    failed: proxyStats.failed,
+    websocketConnections: proxyStats.websocketConnections,
+    chains,
+    upstreams: [...proxyStats.upstreams.entries()].map(([key, stats]) => {
+      const { totalLatency, ...counters } = stats;
+      return {
+        key,
+        name: RPC_ENDPOINTS[key]?.name || key,
+        ...counters,
+        averageLatency:
+          stats.successes > 0
+            ? Math.round(totalLatency / stats.successes)
+            : null,
+      };
+    }),
   };
 }
 
-// Get block numbers for all endpoints simultaneously
-async function getAllBlockNumbers() {
-  console.log('🔗 Getting block numbers for all endpoints simultaneously...');
+// Start the proxy listener: POST / (default chain) or /:chain for HTTP
+// JSON-RPC, and WebSocket upgrades on the same paths. Returns the server
+function startProxy() {
+  if (!PROXY_ENABLED) {
+    return;
+  }
 
-  const blockPromises = [];
-  const endpointKeys = [];
+  const proxyApp = express();
+  proxyApp.use((req, res, next) => {
+    if (!isProxyAuthorized(req)) {
+      return res
+        .status(401)
+        .json(proxyErrorResponse(null, 'Unauthorized', -32000));
+    }
+    next();
+  });
+  // Bodies are read as text whatever the Content-Type, so anything that is
+  // not JSON gets a parse error instead of being forwarded as {}
+  proxyApp.use(express.text({ type: () => true, limit: '10mb' }));
 
-  for (const [key, endpoint] of Object.entries(RPC_ENDPOINTS)) {
-    blockPromises.push(getBlockNumber(endpoint.url, endpoint.name));
-    endpointKeys.push(key);
-  }
+  proxyApp.post(['/', '/:chain'], async (req, res) => {
+    let body;
+    try {
+      body = JSON.parse(req.body);
+    } catch (error) {
+      return res
+        .status(400)
+        .json(proxyErrorResponse(null, 'Parse error', -32700));
+    }
+    if (!body || typeof body !== 'object') {
+      return res
+        .status(400)
+        .json(proxyErrorResponse(null, 'Invalid Request', -32600));
+    }
 
-  try {
-    const blockResults = await Promise.all(blockPromises);
-    const blockData = {};
+    const chainKey = req.params.chain || getDefaultProxyChain();
+    if (req.params.chain && !CHAIN_GROUPS[chainKey]) {
+      return res
+        .status(404)
+        .json(proxyErrorResponse(body, `Unknown chain ${chainKey}`));
+    }
+
+    const response = await forwardProxyRequest(chainKey, body);
+    res.status(response.status).json(response.data);
+  });
+
+  // Bodies over the size limit and other read errors get a parse error too
+  proxyApp.use((error, req, res, next) => {
+    res
+      .status(error.status || 400)
+      .json(proxyErrorResponse(null, 'Parse error', -32700));
+  });
 
-    for (let i = 0; i < endpointKeys.length; i++) {
-      blockData[endpointKeys[i]] = blockResults[i];
+  const server = http.createServer(proxyApp);
+  const wss = new WebSocket.Server({
+    server,
+    verifyClient: ({ req }) => isProxyAuthorized(req),
+  });
+  wss.on('error', (error) => {
+    console.log('💥 Proxy WebSocket server error:', error.message);
+  });
+  wss.on('connection', (client, req) => {
+    // Invalid frames from a client must not crash the monitor
+    client.on('error', (error) => {
+      console.log('💥 Proxy WebSocket client error:', error.message);
+    });
+
+    const chainKey =
+      req.url.split('?')[0].replace(/^\/+|\/+$/g, '') || getDefaultProxyChain();
+    if (!CHAIN_GROUPS[chainKey]) {
+      client.close(1008, `Unknown chain ${chainKey}`);
+      return;
     }
+    proxyWebSocket(client, chainKey);
+  });
 
-    console.log('✅ All block numbers retrieved simultaneously');
-    return blockData;
-  } catch (error) {
-    console.log('💥 Error getting block numbers:', error);
-    return {};
+  server.listen(PROXY_PORT, '0.0.0.0', () => {
+    console.log(
+      `🔀 JSON-RPC proxy listening on port ${PROXY_PORT} (default chain: ${getDefaultProxyChain()}, max lag: ${PROXY_MAX_LAG} blocks)`
+    );
+  });
+  return server;
+}
+
+// Probe duration histogram buckets (seconds)
+const PROBE_DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Cumulative Prometheus metrics collected from probe results
+const probeMetrics = {
+  durations: new Map(),
+  failures: new Map(),
+};
+
+// Classify a probe error message for test results and the failure counters
+function classifyProbeError(error) {
+  const message = String(error || '').toLowerCase();
+
+  if (message.includes('timeout') || message.includes('etimedout'))
+    return 'timeout';
+  if (message.includes('econnrefused')) return 'connection_refused';
+  if (message.includes('enotfound') || message.includes('eai_again'))
+    return 'dns';
+  if (message.includes('econnreset') || message.includes('socket hang up'))
+    return 'connection_reset';
+  if (
+    message.includes('certificate') ||
+    message.includes('ssl') ||
+    message.includes('tls')
+  )
+    return 'tls';
+  if (message.includes('status code 429')) return 'rate_limited';
+  if (/status code 5\d\d/.test(message)) return 'http_5xx';
+  if (message.includes('status code')) return 'http_error';
+  if (message.includes('invalid response')) return 'invalid_response';
+  if (MISSING_STATE_PATTERN.test(message)) return 'missing_state';
+  return 'other';
+}
+
+// Error classes of Node.js and axios error codes
+const REQUEST_ERROR_CODE_CLASSES = {
+  ETIMEDOUT: 'timeout',
+  ECONNABORTED: 'timeout',
+  ESOCKETTIMEDOUT: 'timeout',
+  ECONNREFUSED: 'connection_refused',
+  ENOTFOUND: 'dns',
+  EAI_AGAIN: 'dns',
+  ECONNRESET: 'connection_reset',
+  EPIPE: 'connection_reset',
+  CERT_HAS_EXPIRED: 'tls',
+  DEPTH_ZERO_SELF_SIGNED_CERT: 'tls',
+  SELF_SIGNED_CERT_IN_CHAIN: 'tls',
+  UNABLE_TO_VERIFY_LEAF_SIGNATURE: 'tls',
+  ERR_TLS_CERT_ALTNAME_INVALID: 'tls',
+};
+
+// Classify an error thrown by an HTTP request: by response status, then by
+// error code, and by message only when neither is known
+function classifyRequestError(error) {
+  const status = error.response?.status;
+  if (status === 429) return 'rate_limited';
+  if (status >= 500) return 'http_5xx';
+  if (status) return 'http_error';
+  return (
+    REQUEST_ERROR_CODE_CLASSES[error.code] || classifyProbeError(error.message)
+  );
+}
+
+// Record a probe duration observation in the histogram
+function observeProbeDuration(labels, durationMs) {
+  const id = JSON.stringify(labels);
+  if (!probeMetrics.durations.has(id)) {
+    probeMetrics.durations.set(id, {
+      labels,
+      buckets: PROBE_DURATION_BUCKETS.map(() => 0),
+      sum: 0,
+      count: 0,
+    });
   }
+
+  const histogram = probeMetrics.durations.get(id);
+  const seconds = durationMs / 1000;
+  PROBE_DURATION_BUCKETS.forEach((bucket, index) => {
+    if (seconds <= bucket) histogram.buckets[index]++;
+  });
+  histogram.sum += seconds;
+  histogram.count++;
 }
 
-// Test RPC endpoint comprehensively
-async function testRpcEndpoint(
-  endpointKey,
-  endpoint,
-  allResults = {},
-  blockNumbers = {}
-) {
-  console.log(`🧪 Testing RPC endpoint: ${endpoint.name} (${endpoint.url})`);
+// Increment the probe failure counter for a failed test
+function countProbeFailure(labels, test, testResult) {
+  const failureLabels = {
+    ...labels,
+    test: test,
+    error_class: testResult.errorClass || classifyProbeError(testResult.error),
+  };
+  const id = JSON.stringify(failureLabels);
+  const counter = probeMetrics.failures.get(id) || {
+    labels: failureLabels,
+    value: 0,
+  };
+  counter.value++;
+  probeMetrics.failures.set(id, counter);
+}
 
-  const results = {
+// Metric labels for a main endpoint. `chain` is the chain group key, as in
+// /api/status
+function getEndpointMetricLabels(key) {
+  const endpoint = RPC_ENDPOINTS[key];
+  return {
+    endpoint: key,
     name: endpoint.name,
-    url: endpoint.url,
-    timestamp: new Date().toISOString(),
-    tests: {},
-    blockDifference: null,
-    system: null,
+    chain: endpoint.chain,
   };
+}
 
-  // Use pre-fetched block number if available, otherwise fetch it
-  if (blockNumbers[endpointKey]) {
-    results.tests.blockNumber = blockNumbers[endpointKey];
-  } else {
-    const blockResult = await getBlockNumber(endpoint.url, endpoint.name);
-    results.tests.blockNumber = blockResult;
+// Metric labels for an external endpoint
+function getExternalMetricLabels(endpoint) {
+  return {
+    endpoint: endpoint.key,
+    name: endpoint.name,
+    chain: endpoint.chain || '',
+  };
+}
+
+// Format a label set in Prometheus text exposition format
+function formatMetricLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) =>
+      `${name}="${String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n')}"`
+  );
+  return `{${pairs.join(',')}}`;
+}
+
+// Render every metric in Prometheus text exposition format
+function renderMetrics() {
+  const lines = [];
+  const samples = {};
+
+  // Collect gauge samples, grouped by metric name
+  const addSample = (name, labels, value) => {
+    if (value === null || value === undefined || isNaN(value)) return;
+    if (!samples[name]) samples[name] = [];
+    samples[name].push(`${name}${formatMetricLabels(labels)} ${Number(value)}`);
+  };
+
+  // Rolling latency percentiles, converted to seconds. They are gauges with
+  // a `stat` label rather than a summary, as the window has no running sum
+  // and count
+  const addLatencySamples = (labels, latency) => {
+    if (!latency) return;
+    for (const stat of ['p50', 'p95', 'p99']) {
+      if (latency[stat] !== null) {
+        addSample(
+          'rpc_monitor_latency_seconds',
+          { ...labels, stat },
+          latency[stat] / 1000
+        );
+      }
+    }
+  };
+
+  for (const key of Object.keys(RPC_ENDPOINTS)) {
+    const entry = probeCache.endpoints[key];
+    if (!entry) continue;
+
+    const result = entry.result;
+    const labels = getEndpointMetricLabels(key);
+    const tests = result.tests;
+
+    addSample('rpc_monitor_up', labels, tests.blockNumber?.success ? 1 : 0);
+    addSample('rpc_monitor_block_height', labels, tests.blockNumber?.block);
+    addSample(
+      'rpc_monitor_block_difference',
+      labels,
+      result.blockDifference?.difference
+    );
+    if (result.fork?.success) {
+      addSample(
+        'rpc_monitor_fork_diverged',
+        labels,
+        result.fork.diverged ? 1 : 0
+      );
+      addSample('rpc_monitor_fork_depth', labels, result.fork.depth);
+    }
+    if (result.archive?.success) {
+      addSample(
+        'rpc_monitor_archive_pruned',
+        labels,
+        result.archive.pruned ? 1 : 0
+      );
+      addSample(
+        'rpc_monitor_archive_passed',
+        labels,
+        result.archive.passed ? 1 : 0
+      );
+    }
+    addSample('rpc_monitor_chain_id', labels, tests.chainId?.chainId);
+    addSample('rpc_monitor_gas_price_wei', labels, tests.gasPrice?.gasPrice);
+    if (tests.syncStatus?.success) {
+      addSample(
+        'rpc_monitor_syncing',
+        labels,
+        tests.syncStatus.syncing ? 1 : 0
+      );
+    }
+    addSample('rpc_monitor_health_score', labels, result.health.score);
+    addLatencySamples(labels, result.latency);
+    addSample(
+      'rpc_monitor_snapshot_age_seconds',
+      labels,
+      (Date.now() - entry.updatedAt) / 1000
+    );
+
+    if (result.system) {
+      addSample(
+        'rpc_monitor_system_ram_percent',
+        labels,
+        toPercent(result.system.ram?.percentage)
+      );
+      addSample(
+        'rpc_monitor_system_cpu_percent',
+        labels,
+        toPercent(result.system.cpu?.usage)
+      );
+      addSample(
+        'rpc_monitor_system_disk_percent',
+        labels,
+        toPercent(result.system.disk?.usage_percent)
+      );
+    }
   }
 
-  // Run all RPC tests concurrently for this endpoint
-  const rpcTests = [
-    getChainId(endpoint.url, endpoint.name),
-    getGasPrice(endpoint.url, endpoint.name),
-    getSyncStatus(endpoint.url, endpoint.name),
-  ];
+  EXTERNAL_RPC_ENDPOINTS.forEach((endpoint) => {
+    const entry = probeCache.external[endpoint.key];
+    if (!entry) return;
 
-  // Add system resources test if configured
-  if (endpoint.system_monitor_url) {
-    rpcTests.push(
-      getNodeSystemResources(endpoint.name, endpoint.system_monitor_url)
+    const result = entry.result;
+    const labels = getExternalMetricLabels(endpoint);
+
+    addSample(
+      'rpc_monitor_external_rpc_up',
+      labels,
+      result.rpc.success ? 1 : 0
+    );
+    addSample(
+      'rpc_monitor_external_ws_up',
+      labels,
+      result.websocket.success ? 1 : 0
+    );
+    addSample(
+      'rpc_monitor_external_block_height',
+      labels,
+      result.rpc.blockNumber
+    );
+    addSample(
+      'rpc_monitor_external_ws_first_head_seconds',
+      labels,
+      result.websocket.timeToFirstHead != null
+        ? result.websocket.timeToFirstHead / 1000
+        : null
+    );
+    addSample(
+      'rpc_monitor_external_ws_head_interval_seconds',
+      labels,
+      result.websocket.headCadence
+        ? result.websocket.headCadence.avg / 1000
+        : null
+    );
+    addSample(
+      'rpc_monitor_external_ws_head_difference',
+      labels,
+      result.headComparison?.difference
     );
+    addLatencySamples(labels, result.latency);
+    addSample(
+      'rpc_monitor_snapshot_age_seconds',
+      labels,
+      (Date.now() - entry.updatedAt) / 1000
+    );
+  });
+
+  for (const watcher of headWatchers.values()) {
+    const endpoint =
+      watcher.type === 'main' ? null : getExternalEndpoint(watcher.key);
+    const labels = endpoint
+      ? getExternalMetricLabels(endpoint)
+      : getEndpointMetricLabels(watcher.key);
+    const stream = getHeadStreamState(watcher.key);
+
+    addSample('rpc_monitor_stream_connected', labels, stream.connected ? 1 : 0);
+    addSample('rpc_monitor_stream_reconnects', labels, stream.reconnects);
+    addSample(
+      'rpc_monitor_stream_seconds_since_last_block',
+      labels,
+      stream.secondsSinceLastBlock
+    );
+    addSample('rpc_monitor_stream_block_lag', labels, stream.lag);
   }
 
-  // Execute all tests concurrently
-  const testResults = await Promise.all(rpcTests);
+  const gaugeHelp = {
+    rpc_monitor_up: 'Whether eth_blockNumber succeeded (1) or failed (0)',
+    rpc_monitor_block_height: 'Latest block number reported by the endpoint',
+    rpc_monitor_block_difference:
+      'Blocks behind the compare_with endpoint (negative means ahead)',
+    rpc_monitor_fork_diverged:
+      'Whether the block hash differs from the compare_with endpoint (1) or not (0)',
+    rpc_monitor_fork_depth:
+      'Blocks back to the last common ancestor with the compare_with endpoint',
+    rpc_monitor_archive_pruned:
+      'Whether the archive node is missing historical state (1) or not (0)',
+    rpc_monitor_archive_passed:
+      'Whether the last archive verification passed (1) or failed (0)',
+    rpc_monitor_chain_id: 'Chain ID reported by the endpoint',
+    rpc_monitor_gas_price_wei: 'Gas price reported by the endpoint in wei',
+    rpc_monitor_syncing: 'Whether the endpoint reports it is syncing',
+    rpc_monitor_health_score: 'Health score of the endpoint (0-100)',
+    rpc_monitor_latency_seconds:
+      'Rolling RPC call latency percentiles over the last LATENCY_WINDOW calls',
+    rpc_monitor_snapshot_age_seconds: 'Age of the cached probe result',
+    rpc_monitor_system_ram_percent: 'RAM usage of the node server',
+    rpc_monitor_system_cpu_percent: 'CPU usage of the node server',
+    rpc_monitor_system_disk_percent: 'Disk usage of the node server',
+    rpc_monitor_external_rpc_up: 'Whether the external RPC test succeeded',
+    rpc_monitor_external_ws_up: 'Whether the external WebSocket test succeeded',
+    rpc_monitor_external_block_height:
+      'Latest block number reported by the external endpoint',
+    rpc_monitor_external_ws_first_head_seconds:
+      'Time from eth_subscribe to the first newHeads header',
+    rpc_monitor_external_ws_head_interval_seconds:
+      'Average interval between newHeads headers',
+    rpc_monitor_external_ws_head_difference:
+      'WebSocket head minus HTTP eth_blockNumber (negative means the WebSocket is behind)',
+    rpc_monitor_stream_connected:
+      'Whether the persistent newHeads subscription is connected',
+    rpc_monitor_stream_reconnects:
+      'Reconnects of the newHeads subscription since startup',
+    rpc_monitor_stream_seconds_since_last_block:
+      'Seconds since the last newHeads header arrived',
+    rpc_monitor_stream_block_lag:
+      'Blocks behind the reference, from the live newHeads stream',
+  };
 
-  // Assign results to tests object
-  results.tests.chainId = testResults[0];
-  results.tests.gasPrice = testResults[1];
-  results.tests.syncStatus = testResults[2];
+  for (const [name, help] of Object.entries(gaugeHelp)) {
+    if (!samples[name]) continue;
+    lines.push(`# HELP ${name} ${help}`);
+    lines.push(`# TYPE ${name} gauge`);
+    lines.push(...samples[name]);
+  }
 
-  // Assign system resources if available
-  if (endpoint.system_monitor_url) {
-    results.system = testResults[3];
+  lines.push(
+    '# HELP rpc_monitor_probe_duration_seconds Duration of a full endpoint probe'
+  );
+  lines.push('# TYPE rpc_monitor_probe_duration_seconds histogram');
+  for (const histogram of probeMetrics.durations.values()) {
+    PROBE_DURATION_BUCKETS.forEach((bucket, index) => {
+      lines.push(
+        `rpc_monitor_probe_duration_seconds_bucket${formatMetricLabels({
+          ...histogram.labels,
+          le: String(bucket),
+        })} ${histogram.buckets[index]}`
+      );
+    });
+    lines.push(
+      `rpc_monitor_probe_duration_seconds_bucket${formatMetricLabels({
+        ...histogram.labels,
+        le: '+Inf',
+      })} ${histogram.count}`
+    );
+    lines.push(
+      `rpc_monitor_probe_duration_seconds_sum${formatMetricLabels(
+        histogram.labels
+      )} ${histogram.sum}`
+    );
+    lines.push(
+      `rpc_monitor_probe_duration_seconds_count${formatMetricLabels(
+        histogram.labels
+      )} ${histogram.count}`
+    );
+  }
+
+  lines.push(
+    '# HELP rpc_monitor_probe_failures_total Failed probe tests by error class'
+  );
+  lines.push('# TYPE rpc_monitor_probe_failures_total counter');
+  for (const counter of probeMetrics.failures.values()) {
+    lines.push(
+      `rpc_monitor_probe_failures_total${formatMetricLabels(counter.labels)} ${
+        counter.value
+      }`
+    );
+  }
+
+  const providerMetrics = {
+    calls_total: ['counter', 'JSON-RPC calls made against the provider URL'],
+    rate_limited_total: ['counter', 'Rate limited calls to the provider URL'],
+    slowdown: ['gauge', 'Poll interval multiplier after rate limiting'],
+  };
+  const providers = [
+    ...Object.keys(RPC_ENDPOINTS).map((key) => ({
+      labels: getEndpointMetricLabels(key),
+      url: RPC_ENDPOINTS[key].url,
+    })),
+    ...EXTERNAL_RPC_ENDPOINTS.map((endpoint) => ({
+      labels: getExternalMetricLabels(endpoint),
+      url: endpoint.rpcUrl,
+    })),
+  ];
+  for (const [metric, [type, help]] of Object.entries(providerMetrics)) {
+    lines.push(`# HELP rpc_monitor_provider_${metric} ${help}`);
+    lines.push(`# TYPE rpc_monitor_provider_${metric} ${type}`);
+    for (const { labels, url } of providers) {
+      const usage = getProviderUsage(url);
+      const value = {
+        calls_total: usage.totalCalls,
+        rate_limited_total: usage.rateLimited,
+        slowdown: usage.slowdown,
+      }[metric];
+      lines.push(
+        `rpc_monitor_provider_${metric}${formatMetricLabels(labels)} ${value}`
+      );
+    }
   }
 
-  // Calculate block difference only if block numbers are provided (for /api/status endpoint)
-  if (
-    Object.keys(blockNumbers).length > 0 &&
-    endpoint.compare_with &&
-    blockNumbers[endpoint.compare_with] &&
-    blockNumbers[endpoint.compare_with].success &&
-    results.tests.blockNumber.success
-  ) {
-    const referenceBlock = blockNumbers[endpoint.compare_with].block;
-    const currentBlock = results.tests.blockNumber.block;
-    const difference = referenceBlock - currentBlock;
-
-    results.blockDifference = {
-      referenceBlock: referenceBlock,
-      currentBlock: currentBlock,
-      difference: difference,
-      isBehind: difference > 0,
-      isAhead: difference < 0,
-      isSynced: difference === 0,
+  if (PROXY_ENABLED) {
+    const proxyCounters = {
+      requests: 'Proxy requests sent to the upstream',
+      failures: 'Failed proxy requests to the upstream',
+      failovers: 'Proxy requests failed over from the upstream',
     };
 
-    console.log(
-      `📊 ${endpoint.name} block difference: ${difference} (${
-        difference > 0 ? 'behind' : difference < 0 ? 'ahead' : 'synced'
-      })`
-    );
+    for (const [counter, help] of Object.entries(proxyCounters)) {
+      lines.push(`# HELP rpc_monitor_proxy_${counter}_total ${help}`);
+      lines.push(`# TYPE rpc_monitor_proxy_${counter}_total counter`);
+      for (const [key, stats] of proxyStats.upstreams) {
+        if (!RPC_ENDPOINTS[key]) continue;
+        lines.push(
+          `rpc_monitor_proxy_${counter}_total${formatMetricLabels(
+            getEndpointMetricLabels(key)
+          )} ${stats[counter]}`
+        );
+      }
+    }
   }
 
-  // Calculate overall health
-  const successfulTests = Object.values(results.tests).filter(
-    (test) => test.success
-  ).length;
-  const totalTests = Object.keys(results.tests).length;
-  results.health = {
-    score: (successfulTests / totalTests) * 100,
-    successfulTests,
-    totalTests,
-  };
+  return lines.join('\n') + '\n';
+}
 
-  console.log(
-    `✅ ${endpoint.name} test completed. Health: ${results.health.score.toFixed(
-      1
-    )}%`
-  );
-  return results;
+// Update the cumulative metrics from every probe result
+function startMetricsCollector() {
+  monitorEvents.on('endpointResult', (key, result) => {
+    const labels = getEndpointMetricLabels(key);
+    observeProbeDuration(labels, result.duration);
+
+    for (const [test, testResult] of Object.entries(result.tests)) {
+      if (!testResult.success) {
+        countProbeFailure(labels, test, testResult);
+      }
+    }
+  });
+
+  monitorEvents.on('externalResult', (key, result) => {
+    const labels = getExternalMetricLabels(getExternalEndpoint(key));
+    observeProbeDuration(labels, result.duration);
+
+    if (!result.rpc.success) {
+      countProbeFailure(labels, 'rpc', result.rpc);
+    }
+    if (!result.websocket.success) {
+      countProbeFailure(labels, 'websocket', result.websocket);
+    }
+  });
 }
 
 // Routes
@@ -642,11 +5977,10 @@ app.get('/api/dashboard-config', (req, res) => {
       showBlockDifferences:
         process.env.DASHBOARD_SHOW_BLOCK_DIFFERENCES !== 'false',
       theme: process.env.DASHBOARD_THEME || 'default',
+      healthyThreshold: HEALTH_HEALTHY_THRESHOLD,
+      degradedThreshold: HEALTH_DEGRADED_THRESHOLD,
     };
 
-    console.log('🔧 Dashboard config requested:', config);
-    console.log('🔧 DASHBOARD_TITLE env var:', process.env.DASHBOARD_TITLE);
-
     res.json(config);
   } catch (error) {
     console.error('Error getting dashboard config:', error);
@@ -659,10 +5993,13 @@ app.get('/api/test', (req, res) => {
   res.json({
     message: 'Server is working!',
     timestamp: new Date().toISOString(),
-    env: {
-      DASHBOARD_TITLE: process.env.DASHBOARD_TITLE,
-      DASHBOARD_SUBTITLE: process.env.DASHBOARD_SUBTITLE,
-    },
+    role: req.auth ? req.auth.role : null,
+    ...(hasRole(req, 'admin') && {
+      env: {
+        DASHBOARD_TITLE: process.env.DASHBOARD_TITLE,
+        DASHBOARD_SUBTITLE: process.env.DASHBOARD_SUBTITLE,
+      },
+    }),
   });
 });
 
@@ -670,46 +6007,15 @@ app.get('/api/status', async (req, res) => {
   try {
     console.log('🔄 API Status request received');
 
-    // First, get all block numbers simultaneously to ensure accurate comparison
-    const blockNumbers = await getAllBlockNumbers();
-
-    // Test all RPC endpoints concurrently with pre-fetched block numbers
-    const endpointTests = Object.entries(RPC_ENDPOINTS).map(([key, endpoint]) =>
-      testRpcEndpoint(key, endpoint, {}, blockNumbers)
-    );
-
-    const endpointResults = await Promise.all(endpointTests);
-
-    // Convert array results back to object format
-    const results = {};
-    Object.keys(RPC_ENDPOINTS).forEach((key, index) => {
-      results[key] = endpointResults[index];
-    });
+    // Serve the latest snapshot from the poll scheduler
+    await initialPollPromise;
 
-    // Calculate overall statistics
-    const allEndpoints = Object.values(results);
-    const totalEndpoints = allEndpoints.length;
-    const healthyEndpoints = allEndpoints.filter(
-      (endpoint) => endpoint.health.score >= 80
-    ).length;
-    const partiallyHealthyEndpoints = allEndpoints.filter(
-      (endpoint) => endpoint.health.score >= 50 && endpoint.health.score < 80
-    ).length;
-    const unhealthyEndpoints = allEndpoints.filter(
-      (endpoint) => endpoint.health.score < 50
-    ).length;
+    const chainKey = req.query.chain;
+    if (chainKey && !CHAIN_GROUPS[chainKey]) {
+      return res.status(404).json({ error: 'Chain not found' });
+    }
 
-    const response = {
-      timestamp: new Date().toISOString(),
-      endpoints: results,
-      summary: {
-        total: totalEndpoints,
-        healthy: healthyEndpoints,
-        partiallyHealthy: partiallyHealthyEndpoints,
-        unhealthy: unhealthyEndpoints,
-        overallHealth: (healthyEndpoints / totalEndpoints) * 100,
-      },
-    };
+    const response = buildStatusResponse(chainKey);
 
     console.log('✅ API Status response prepared');
     res.json(response);
@@ -729,15 +6035,34 @@ app.get('/api/test/:endpointKey', async (req, res) => {
       return res.status(404).json({ error: 'Endpoint not found' });
     }
 
-    // Get all block numbers for comparison
-    const blockNumbers = await getAllBlockNumbers();
+    // A manual test counts against the call budget like a scheduled probe
+    const hold = getProbeHold(endpointKey, endpoint.url);
+    if (hold) {
+      return res
+        .status(429)
+        .json({ error: 'Endpoint is on hold', message: hold });
+    }
+
+    // Block number of its reference for comparison
+    const compareWith = RPC_ENDPOINTS[endpoint.compare_with];
+    const blockNumbers = requestBlockNumbers(
+      compareWith && !getProbeHold(endpoint.compare_with, compareWith.url)
+        ? [endpoint.compare_with]
+        : []
+    );
 
-    const result = await testRpcEndpoint(
+    const result = await probeWithinBudget(
       endpointKey,
-      endpoint,
-      {},
-      blockNumbers
+      endpoint.url,
+      endpoint.poll_interval,
+      () => testRpcEndpoint(endpointKey, endpoint, {}, blockNumbers)
     );
+    if (!result) {
+      return res.status(429).json({
+        error: 'Endpoint is on hold',
+        message: getProbeHold(endpointKey, endpoint.url),
+      });
+    }
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -746,104 +6071,392 @@ app.get('/api/test/:endpointKey', async (req, res) => {
 
 // Get available endpoints (must come before dynamic route)
 app.get('/api/endpoints', (req, res) => {
+  const showUrls = AUTH_ENABLED && hasRole(req, 'admin');
   const endpoints = Object.entries(RPC_ENDPOINTS).map(([key, endpoint]) => ({
     key: key,
     name: endpoint.name,
-    url: endpoint.url,
+    url: showUrls ? endpoint.url : endpoint.display_url,
+    chain: endpoint.chain,
     compare_with: endpoint.compare_with,
   }));
   res.json(endpoints);
 });
 
+// Get chain groups with their reference nodes and endpoints
+app.get('/api/chains', (req, res) => {
+  const chains = Object.values(CHAIN_GROUPS).map((chain) => ({
+    key: chain.key,
+    name: chain.name,
+    chainId: chain.chain_id,
+    reference: chain.reference,
+    endpoints: Object.keys(RPC_ENDPOINTS).filter(
+      (key) => RPC_ENDPOINTS[key].chain === chain.key
+    ),
+    externalEndpoints: EXTERNAL_RPC_ENDPOINTS.filter(
+      (endpoint) => endpoint.chain === chain.key
+    ).map((endpoint) => endpoint.key),
+  }));
+  res.json(chains);
+});
+
+// Endpoint management needs an admin, even when authentication is disabled
+const requireEndpointManager = requireRole('admin', {
+  requireCredentials: true,
+});
+
+// Config sections holding main and external endpoints
+const ENDPOINT_SECTIONS = { main: 'endpoints', external: 'external_endpoints' };
+
+// Find a raw endpoint entry by key in a raw configuration
+function findEndpointEntry(raw, key) {
+  for (const [type, section] of Object.entries(ENDPOINT_SECTIONS)) {
+    const entries = raw[section] || [];
+    const index = entries.findIndex(
+      (entry, i) =>
+        (entry.key ||
+          (type === 'main' ? `rpc_${i + 1}` : `external_${i + 1}`)) === key
+    );
+    if (index !== -1) {
+      return { type, section, index, entry: entries[index] };
+    }
+  }
+  return null;
+}
+
+// Public configuration of an active endpoint, as returned by the management API
+function getManagedEndpointConfig(type, key) {
+  if (type === 'main') {
+    return { key, type, ...getPublicEndpointConfig(RPC_ENDPOINTS[key]) };
+  }
+  return { type, ...getPublicExternalConfig(getExternalEndpoint(key)) };
+}
+
+// Save a changed raw configuration and answer with the errors if invalid
+function respondWithSavedConfig(res, raw, onSuccess) {
+  const result = saveEndpointConfig(raw);
+  if (!result.success) {
+    return res
+      .status(400)
+      .json({ error: 'Invalid configuration', errors: result.errors });
+  }
+  onSuccess();
+}
+
+// Add a main or external endpoint ({ type: 'main' | 'external', key, ... })
+app.post('/api/endpoints', requireEndpointManager, (req, res) => {
+  const { type = 'main', ...entry } = req.body || {};
+  const section = ENDPOINT_SECTIONS[type];
+
+  if (!section) {
+    return res.status(400).json({ error: "type must be 'main' or 'external'" });
+  }
+  if (!entry.key) {
+    return res.status(400).json({ error: 'key is required' });
+  }
+
+  const raw = JSON.parse(JSON.stringify(CONFIG_RAW));
+  if (findEndpointEntry(raw, entry.key)) {
+    return res
+      .status(409)
+      .json({ error: `Endpoint ${entry.key} already exists` });
+  }
+
+  raw[section] = [...(raw[section] || []), entry];
+  respondWithSavedConfig(res, raw, () => {
+    console.log(`➕ Added ${type} endpoint ${entry.key}`);
+    res.status(201).json(getManagedEndpointConfig(type, entry.key));
+  });
+});
+
+// Edit an endpoint. Fields in the body replace the current ones, null removes a field
+app.put('/api/endpoints/:key', requireEndpointManager, (req, res) => {
+  const key = req.params.key;
+  const { type, ...changes } = req.body || {};
+  const raw = JSON.parse(JSON.stringify(CONFIG_RAW));
+  const found = findEndpointEntry(raw, key);
+
+  if (!found) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+  if (type && type !== found.type) {
+    return res
+      .status(400)
+      .json({ error: `Endpoint ${key} is a ${found.type} endpoint` });
+  }
+  if (changes.key && changes.key !== key) {
+    return res.status(400).json({ error: 'Endpoint keys cannot be changed' });
+  }
+
+  const entry = { ...found.entry, ...changes, key };
+  for (const [field, value] of Object.entries(entry)) {
+    if (value === null) delete entry[field];
+  }
+  raw[found.section][found.index] = entry;
+
+  respondWithSavedConfig(res, raw, () => {
+    console.log(`✏️ Updated ${found.type} endpoint ${key}`);
+    res.json(getManagedEndpointConfig(found.type, key));
+  });
+});
+
+// Remove an endpoint
+app.delete('/api/endpoints/:key', requireEndpointManager, (req, res) => {
+  const key = req.params.key;
+  const raw = JSON.parse(JSON.stringify(CONFIG_RAW));
+  const found = findEndpointEntry(raw, key);
+
+  if (!found) {
+    return res.status(404).json({ error: 'Endpoint not found' });
+  }
+
+  raw[found.section].splice(found.index, 1);
+  respondWithSavedConfig(res, raw, () => {
+    console.log(`➖ Removed ${found.type} endpoint ${key}`);
+    res.json({ deleted: key, type: found.type });
+  });
+});
+
+// Live newHeads stream state of every endpoint with a WebSocket URL
+app.get('/api/streams', (req, res) => {
+  const streams = Array.from(headWatchers.values())
+    .filter(
+      (watcher) =>
+        watcher.type === 'main' ||
+        getExternalEndpoint(watcher.key)?.showInUI !== false
+    )
+    .map((watcher) => ({
+      key: watcher.key,
+      type: watcher.type,
+      name: watcher.name,
+      ...getHeadStreamState(watcher.key),
+    }));
+  res.json({
+    timestamp: new Date().toISOString(),
+    enabled: HEAD_WATCHERS_ENABLED,
+    streams: streams,
+  });
+});
+
 // Get external RPC endpoints list
 app.get('/api/external-rpcs', (req, res) => {
-  res.json(EXTERNAL_RPC_ENDPOINTS);
+  res.json(EXTERNAL_RPC_ENDPOINTS.map(getPublicExternalConfig));
 });
 
 // Test all external RPC endpoints
 app.get('/api/external-rpcs/status', async (req, res) => {
   try {
-    console.log('🔍 Testing external RPC and WebSocket endpoints...');
-
-    const results = await Promise.allSettled(
-      EXTERNAL_RPC_ENDPOINTS.map(async (endpoint) => {
-        // Test both RPC and WebSocket in parallel
-        const [rpcResult, wsResult] = await Promise.allSettled([
-          testExternalRpc(endpoint.rpcUrl),
-          testWebSocket(endpoint.wsUrl),
-        ]);
-
-        const rpcTest =
-          rpcResult.status === 'fulfilled'
-            ? rpcResult.value
-            : {
-                success: false,
-                error: rpcResult.reason?.message || 'RPC test failed',
-              };
-        const wsTest =
-          wsResult.status === 'fulfilled'
-            ? wsResult.value
-            : {
-                success: false,
-                error: wsResult.reason?.message || 'WebSocket test failed',
-              };
+    console.log('🔍 Serving cached external RPC and WebSocket results...');
 
-        return {
-          name: endpoint.name,
-          rpcUrl: endpoint.displayRpcUrl || endpoint.rpcUrl,
-          wsUrl: endpoint.displayWsUrl || endpoint.wsUrl,
-          description: endpoint.description,
-          rpc: rpcTest,
-          websocket: wsTest,
-          overallSuccess: rpcTest.success && wsTest.success,
-          timestamp: new Date().toISOString(),
-        };
-      })
-    );
+    const chainKey = req.query.chain;
+    if (chainKey && !CHAIN_GROUPS[chainKey]) {
+      return res.status(404).json({ error: 'Chain not found' });
+    }
 
-    const endpointResults = results.map((result, index) => {
-      if (result.status === 'fulfilled') {
-        return result.value;
-      } else {
-        return {
-          name: EXTERNAL_RPC_ENDPOINTS[index].name,
-          rpcUrl:
-            EXTERNAL_RPC_ENDPOINTS[index].displayRpcUrl ||
-            EXTERNAL_RPC_ENDPOINTS[index].rpcUrl,
-          wsUrl:
-            EXTERNAL_RPC_ENDPOINTS[index].displayWsUrl ||
-            EXTERNAL_RPC_ENDPOINTS[index].wsUrl,
-          description: EXTERNAL_RPC_ENDPOINTS[index].description,
-          rpc: { success: false, error: 'RPC test failed' },
-          websocket: { success: false, error: 'WebSocket test failed' },
-          overallSuccess: false,
-          error: result.reason?.message || 'Unknown error',
-          timestamp: new Date().toISOString(),
-        };
-      }
+    await initialPollPromise;
+
+    res.json(buildExternalStatusResponse(chainKey));
+  } catch (error) {
+    console.log('💥 External RPC status error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Live probe updates for the dashboard (Server-Sent Events).
+// Sends a 'snapshot' event with the full status on connect, then 'endpoint',
+// 'summary' and 'external' events as new probe results arrive.
+app.get('/api/events', async (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    eventClients.delete(res);
+  });
+
+  await initialPollPromise;
+  if (closed) return;
+
+  sendEvent(res, 'snapshot', {
+    status: buildStatusResponse(),
+    external: buildExternalStatusResponse(),
+  });
+  eventClients.add(res);
+});
+
+// Configured alert rules and currently firing alerts
+app.get('/api/alerts', (req, res) => {
+  const active = [...alertStates.values()]
+    .filter((state) => state.alert)
+    .map((state) => state.alert);
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    rules: ALERT_RULES,
+    notifiers: ALERT_NOTIFIERS.map((notifier) => ({
+      name: notifier.name,
+      type: notifier.type,
+    })),
+    active: active,
+  });
+});
+
+// Incident timeline, filtered by endpoint, chain, type (main/external),
+// status (open/resolved) and time range
+app.get('/api/incidents', (req, res) => {
+  const { status, type, from, to } = req.query;
+
+  if (status && !['open', 'resolved'].includes(status)) {
+    return res.status(400).json({
+      error: 'Invalid status',
+      message: 'Use open or resolved',
     });
+  }
 
-    // Filter out endpoints that shouldn't be shown in UI
-    const visibleEndpoints = endpointResults.filter((endpoint, index) => {
-      return EXTERNAL_RPC_ENDPOINTS[index].showInUI !== false;
+  if (type && !['main', 'external'].includes(type)) {
+    return res.status(400).json({
+      error: 'Invalid type',
+      message: 'Use main or external',
     });
+  }
 
-    const workingEndpoints = visibleEndpoints.filter(
-      (endpoint) => endpoint.overallSuccess
-    );
-    const failedEndpoints = visibleEndpoints.filter(
-      (endpoint) => !endpoint.overallSuccess
-    );
+  if (
+    (from && parseTimestamp(from) === null) ||
+    (to && parseTimestamp(to) === null)
+  ) {
+    return res.status(400).json({
+      error: 'Invalid time range',
+      message: 'from and to must be epoch milliseconds or ISO dates',
+    });
+  }
+
+  const matching = filterIncidents(req.query);
+  const limit = parseInt(req.query.limit) || 100;
+
+  res.json({
+    timestamp: new Date().toISOString(),
+    open: incidents.filter((incident) => !incident.resolvedAt).length,
+    count: matching.length,
+    incidents: matching.slice(0, limit),
+  });
+});
+
+// Calls made against every provider, budgets and rate limiting
+app.get('/api/usage', (req, res) => {
+  res.json({
+    timestamp: new Date().toISOString(),
+    providers: getProviderUsageReport(),
+  });
+});
+
+// JSON-RPC proxy routing stats and upstream ranking
+app.get('/api/proxy', (req, res) => {
+  if (!PROXY_ENABLED) {
+    return res.status(404).json({ error: 'Proxy is disabled' });
+  }
+
+  res.json({ timestamp: new Date().toISOString(), ...getProxyStatus() });
+});
+
+// Probe history for a main or external endpoint
+app.get('/api/history/:endpointKey', async (req, res) => {
+  try {
+    const { endpointKey } = req.params;
+    const known =
+      RPC_ENDPOINTS[endpointKey] ||
+      EXTERNAL_RPC_ENDPOINTS.some((endpoint) => endpoint.key === endpointKey);
+
+    if (!known) {
+      return res.status(404).json({ error: 'Endpoint not found' });
+    }
+
+    if (!HISTORY_ENABLED) {
+      return res.status(404).json({ error: 'Probe history is disabled' });
+    }
+
+    const to = req.query.to ? parseTimestamp(req.query.to) : Date.now();
+    const from = req.query.from
+      ? parseTimestamp(req.query.from)
+      : to - 86400000;
+    const resolution = req.query.resolution
+      ? parseDuration(req.query.resolution)
+      : null;
+
+    if (from === null || to === null || from > to) {
+      return res.status(400).json({
+        error: 'Invalid time range',
+        message: 'from and to must be epoch milliseconds or ISO dates',
+      });
+    }
+
+    if (req.query.resolution && !resolution) {
+      return res.status(400).json({
+        error: 'Invalid resolution',
+        message: 'Use a duration such as 30s, 5m, 1h or 1d',
+      });
+    }
+
+    const records = await readHistory(endpointKey, from, to);
 
     res.json({
-      timestamp: new Date().toISOString(),
-      total: visibleEndpoints.length,
-      working: workingEndpoints.length,
-      failed: failedEndpoints.length,
-      endpoints: visibleEndpoints,
+      endpoint: endpointKey,
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      resolution: resolution,
+      count: records.length,
+      series: resolution ? downsampleHistory(records, resolution) : records,
     });
   } catch (error) {
-    console.log('💥 External RPC status error:', error);
+    console.log('💥 History API error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Uptime / SLA report for every endpoint. With ?format=csv or ?format=json
+// the report is sent as a file download
+app.get('/api/sla', async (req, res) => {
+  try {
+    const format = req.query.format;
+
+    if (!HISTORY_ENABLED) {
+      return res.status(404).json({ error: 'Probe history is disabled' });
+    }
+
+    if (format && !['csv', 'json'].includes(format)) {
+      return res.status(400).json({
+        error: 'Invalid format',
+        message: 'Use csv or json',
+      });
+    }
+
+    const report = await getSlaReport();
+    const endpoints = report.endpoints.filter(
+      (endpoint) => !req.query.chain || endpoint.chain === req.query.chain
+    );
+
+    if (format) {
+      res.set(
+        'Content-Disposition',
+        `attachment; filename="sla-${report.generatedAt.slice(
+          0,
+          10
+        )}.${format}"`
+      );
+    }
+
+    if (format === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      return res.send(formatSlaCsv({ ...report, endpoints }));
+    }
+
+    res.json({ ...report, endpoints });
+  } catch (error) {
+    console.log('💥 SLA API error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -857,18 +6470,25 @@ app.get('/api/:endpointKey', async (req, res) => {
   }
 
   try {
-    const result = await testRpcEndpoint(
-      endpointKey,
-      RPC_ENDPOINTS[endpointKey],
-      {},
-      {} // No pre-fetched block numbers for individual endpoints
-    );
+    await initialPollPromise;
+
+    const result = getCachedEndpointResult(endpointKey);
+    if (!result) {
+      return res.status(503).json({ error: 'No probe result available yet' });
+    }
+
     res.json(result);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Prometheus metrics endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+  res.send(renderMetrics());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({
@@ -878,52 +6498,55 @@ app.get('/health', (req, res) => {
   });
 });
 
-// Configuration endpoint
-app.get('/config', (req, res) => {
+// Configuration endpoint. Authenticated admins get the full URLs
+app.get('/config', requireRole('admin'), (req, res) => {
+  const showUrls = AUTH_ENABLED && hasRole(req, 'admin');
   res.json({
     timestamp: new Date().toISOString(),
     port: PORT,
-    endpoints: RPC_ENDPOINTS,
+    source: CONFIG_SOURCE,
+    endpoints: Object.fromEntries(
+      Object.entries(RPC_ENDPOINTS).map(([key, endpoint]) => [
+        key,
+        showUrls
+          ? getAdminEndpointConfig(endpoint)
+          : getPublicEndpointConfig(endpoint),
+      ])
+    ),
+    externalEndpoints: EXTERNAL_RPC_ENDPOINTS.map((endpoint) =>
+      showUrls
+        ? getAdminExternalConfig(endpoint)
+        : getPublicExternalConfig(endpoint)
+    ),
   });
 });
 
 // External API endpoint for simplified external RPC status with block differences
 app.get('/api/external/status', async (req, res) => {
   try {
-    // Find the reference RPC (the one marked as reference)
-    const referenceEndpoint = Object.entries(RPC_ENDPOINTS).find(
-      ([key, endpoint]) => endpoint.is_reference
-    );
+    // Use the requested chain, or the first chain that has a reference RPC
+    const chain = req.query.chain
+      ? CHAIN_GROUPS[req.query.chain]
+      : Object.values(CHAIN_GROUPS).find((group) => group.reference);
 
-    if (!referenceEndpoint) {
+    if (req.query.chain && !chain) {
+      return res.status(404).json({ error: 'Chain not found' });
+    }
+
+    if (!chain?.reference) {
       return res.status(500).json({
         error: 'No reference RPC found',
         message:
-          'Please configure a reference RPC with RPC_1_IS_REFERENCE=true',
+          'Please configure a reference RPC with RPC_1_IS_REFERENCE=true or CHAIN_1_REFERENCE',
       });
     }
 
-    const [referenceKey, referenceRpc] = referenceEndpoint;
+    const referenceKey = chain.reference;
+    const referenceRpc = RPC_ENDPOINTS[referenceKey];
 
-    // Get reference RPC block number
-    let referenceBlock = null;
-    try {
-      const referenceResponse = await axios.get(
-        `http://localhost:${PORT}/api/${referenceKey}`,
-        {
-          timeout: 10000,
-        }
-      );
-      if (referenceResponse.data?.tests?.blockNumber?.success) {
-        referenceBlock = referenceResponse.data.tests.blockNumber.block;
-      }
-    } catch (error) {
-      console.error('Error getting reference RPC block:', error);
-      return res.status(500).json({
-        error: 'Reference RPC unavailable',
-        message: `Cannot get block number from reference RPC: ${error.message}`,
-      });
-    }
+    // Reference block from its head stream or latest probe
+    await initialPollPromise;
+    const referenceBlock = getReferenceHead(referenceKey)?.block ?? null;
 
     if (referenceBlock === null) {
       return res.status(500).json({
@@ -932,73 +6555,55 @@ app.get('/api/external/status', async (req, res) => {
       });
     }
 
-    // Test all external RPCs and calculate block differences
-    const results = [];
-
-    for (const externalRpc of EXTERNAL_RPC_ENDPOINTS) {
-      try {
-        // Test the external RPC
-        const rpcResponse = await axios.post(
-          externalRpc.rpcUrl,
-          {
-            jsonrpc: '2.0',
-            method: 'eth_blockNumber',
-            params: [],
-            id: 1,
-          },
-          {
-            timeout: 10000,
-            headers: {
-              'Content-Type': 'application/json',
-            },
-          }
-        );
-
-        if (rpcResponse.data?.result) {
-          const currentBlock = parseInt(rpcResponse.data.result, 16);
-          const difference = referenceBlock - currentBlock;
-
-          results.push({
-            rpc: externalRpc.displayRpcUrl,
-            blockDifference: {
-              referenceBlock: referenceBlock,
-              currentBlock: currentBlock,
-              difference: difference,
-              isBehind: difference > 0,
-              isAhead: difference < 0,
-              isSynced: difference === 0,
-            },
-            rpcName: externalRpc.name,
-            blockNumber: currentBlock,
-            isHealthy: Math.abs(difference) <= 5, // Consider healthy if within 5 blocks
-          });
-        } else {
-          results.push({
-            rpc: externalRpc.displayRpcUrl,
-            blockDifference: null,
-            rpcName: externalRpc.name,
-            blockNumber: null,
-            isHealthy: false,
-            error: 'Invalid response from RPC',
-          });
-        }
-      } catch (error) {
-        results.push({
+    // Compare the latest scheduled probe of each external RPC of the same
+    // chain with the reference, without calling the providers again
+    const results = EXTERNAL_RPC_ENDPOINTS.filter(
+      (endpoint) => endpoint.chain === chain.key
+    ).map((externalRpc) => {
+      const entry = probeCache.external[externalRpc.key];
+      const cached = entry?.result;
+      const currentBlock = cached?.rpc.success
+        ? cached.headComparison?.httpBlock ?? cached.rpc.blockNumber
+        : null;
+
+      if (currentBlock === null) {
+        return {
           rpc: externalRpc.displayRpcUrl,
           blockDifference: null,
           rpcName: externalRpc.name,
           blockNumber: null,
           isHealthy: false,
-          error: error.message,
-        });
+          ...(!cached && { pending: true }),
+          error: cached ? cached.rpc.error : 'No probe result available yet',
+        };
       }
-    }
+
+      const difference = referenceBlock - currentBlock;
+      return {
+        rpc: externalRpc.displayRpcUrl,
+        blockDifference: {
+          referenceBlock: referenceBlock,
+          currentBlock: currentBlock,
+          difference: difference,
+          isBehind: difference > 0,
+          isAhead: difference < 0,
+          isSynced: difference === 0,
+        },
+        fork: cached.fork ?? null,
+        rpcName: externalRpc.name,
+        blockNumber: currentBlock,
+        // Consider healthy if within 5 blocks and on the same fork
+        isHealthy: Math.abs(difference) <= 5 && !cached.fork?.diverged,
+        snapshot: getSnapshotInfo(entry, externalRpc.pollInterval),
+      };
+    });
 
     res.json({
       timestamp: new Date().toISOString(),
+      chain: chain.key,
       referenceRpc: {
         name: referenceRpc.name,
-        url: referenceRpc.displayUrl || referenceRpc.url,
+        url: referenceRpc.display_url,
         blockNumber: referenceBlock,
       },
       data: results,
@@ -1012,22 +6617,87 @@ app.get('/api/external/status', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`🚀 RPC Monitor running on port ${PORT}`);
-  console.log(
-    `📡 Monitoring ${Object.keys(RPC_ENDPOINTS).length} RPC endpoints:`
-  );
-
-  for (const [key, endpoint] of Object.entries(RPC_ENDPOINTS)) {
-    console.log(`  - ${endpoint.name}: ${endpoint.url}`);
+// Load the configuration, then start the server and background work. Only when
+// run directly, so tests can require the module without either
+function startServer() {
+  const initialConfig = loadConfig();
+  if (!initialConfig.success) {
+    console.log(`❌ Invalid configuration in ${initialConfig.source}:`);
+    for (const error of initialConfig.errors) {
+      console.log(`  - ${error}`);
+    }
+    process.exit(1);
   }
+  applyConfig(initialConfig);
+
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`🚀 RPC Monitor running on port ${PORT}`);
+    console.log(`📄 Configuration loaded from ${CONFIG_SOURCE}`);
+    if (CONFIG_SOURCE !== 'environment' && hasEnvEndpointConfig()) {
+      console.log(
+        `⚠️ RPC_{N}_*, EXTERNAL_RPC_{N}_* and CHAIN_{N}_* variables are ignored because ${CONFIG_SOURCE} is used${
+          CONFIG_SOURCE === CONFIG_SAVE_FILE
+            ? ' (saved by the endpoint management API; delete it to configure from the environment again)'
+            : ''
+        }`
+      );
+    }
+    if (AUTH_ENABLED) {
+      console.log(
+        `🔐 Authentication enabled: ${
+          AUTH_CREDENTIALS.tokens.length
+        } API tokens, ${
+          AUTH_CREDENTIALS.users.length
+        } dashboard users, anonymous role: ${AUTH_ANONYMOUS_ROLE || 'none'}`
+      );
+    }
+    console.log(
+      `📡 Monitoring ${Object.keys(RPC_ENDPOINTS).length} RPC endpoints:`
+    );
 
-  console.log('\n📋 Configuration:');
-  console.log('  To customize RPC endpoints, set these environment variables:');
-  console.log('  - RPC_1_NAME, RPC_1_URL, RPC_1_CHAIN_ID, etc.');
-  console.log('  - EXTERNAL_RPC_1_NAME, EXTERNAL_RPC_1_URL, etc.');
-  console.log('  See README.md for complete configuration options');
-  console.log('\n💡 Example:');
-  console.log('  docker run --env-file .env rpc-monitor');
-});
+    for (const [key, endpoint] of Object.entries(RPC_ENDPOINTS)) {
+      console.log(
+        `  - ${endpoint.name} [${endpoint.chain}]: ${endpoint.display_url}`
+      );
+    }
+
+    startHistoryRecorder();
+    startAlertEngine();
+    startIncidentTracker();
+    startMetricsCollector();
+    startLiveUpdates();
+    initialPollPromise = startPollScheduler();
+    startHeadWatchers();
+    startProxy();
+    watchConfigFile();
+
+    console.log('\n📋 Configuration:');
+    console.log(
+      '  To customize RPC endpoints, set these environment variables:'
+    );
+    console.log('  - RPC_1_NAME, RPC_1_URL, RPC_1_CHAIN_ID, etc.');
+    console.log('  - EXTERNAL_RPC_1_NAME, EXTERNAL_RPC_1_URL, etc.');
+    console.log('  See README.md for complete configuration options');
+    console.log('\n💡 Example:');
+    console.log('  docker run --env-file .env rpc-monitor');
+  });
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = {
+  buildEndpointHistoryRecord,
+  calculateAvailability,
+  loadConfig,
+  validateConfig,
+  validateEndpointResult,
+  calculateHealth,
+  getRequestFailure,
+  getRetryDelay,
+  makeRpcCall,
+  probeWithinBudget,
+  getProviderUsage,
+  startProxy,
+};
@@ -0,0 +1,635 @@
+#!/usr/bin/env node
+// Per-node system monitor agent, started with `node system_agent.js` (or
+// `npm run agent`) on each node server. Serves a versioned system report (see
+// SYSTEM_REPORT_SCHEMA) at GET /system, which the monitor polls through
+// RPC_{N}_SYSTEM_URL
+
+// Only the entry point loads .env, so it is not loaded twice when the
+// monitor imports the report schema from here
+if (require.main === module) {
+  require('dotenv').config();
+}
+
+const express = require('express');
+const fs = require('fs');
+const os = require('os');
+const { execFileSync } = require('child_process');
+
+// Version of the /system report. Bump it on incompatible changes
+const SYSTEM_SCHEMA_VERSION = 1;
+
+// Agent HTTP server
+const SYSTEM_AGENT_PORT = parseInt(process.env.SYSTEM_AGENT_PORT) || 8081;
+const SYSTEM_AGENT_HOST = process.env.SYSTEM_AGENT_HOST || '0.0.0.0';
+
+// Ms between samples. CPU, network and process usage are averaged over it
+const SYSTEM_AGENT_INTERVAL =
+  parseInt(process.env.SYSTEM_AGENT_INTERVAL) || 5000;
+
+// Name of the node process to watch (matched against the process name or
+// the executable name it was started with), e.g. hl-node
+const SYSTEM_AGENT_PROCESS = process.env.SYSTEM_AGENT_PROCESS || null;
+
+// Mount points and network interfaces to report (default: all)
+const SYSTEM_AGENT_MOUNTS = process.env.SYSTEM_AGENT_MOUNTS
+  ? process.env.SYSTEM_AGENT_MOUNTS.split(',').map((mount) => mount.trim())
+  : null;
+const SYSTEM_AGENT_INTERFACES = process.env.SYSTEM_AGENT_INTERFACES
+  ? process.env.SYSTEM_AGENT_INTERFACES.split(',').map((name) => name.trim())
+  : null;
+
+// Virtual filesystems that are not reported as disks
+const PSEUDO_FILESYSTEMS = new Set([
+  'autofs',
+  'binfmt_misc',
+  'bpf',
+  'cgroup',
+  'cgroup2',
+  'configfs',
+  'debugfs',
+  'devpts',
+  'devtmpfs',
+  'efivarfs',
+  'fuse.lxcfs',
+  'fusectl',
+  'hugetlbfs',
+  'mqueue',
+  'nsfs',
+  'proc',
+  'pstore',
+  'ramfs',
+  'rpc_pipefs',
+  'securityfs',
+  'squashfs',
+  'sysfs',
+  'tmpfs',
+  'tracefs',
+]);
+
+// Clock ticks per second of /proc CPU times (USER_HZ), read once from
+// `getconf CLK_TCK`. 100 is the Linux default when getconf is missing
+let clockTicks = null;
+function getClockTicks() {
+  if (clockTicks === null) {
+    try {
+      clockTicks =
+        parseInt(execFileSync('getconf', ['CLK_TCK'], { encoding: 'utf8' })) ||
+        100;
+    } catch (error) {
+      clockTicks = 100;
+    }
+  }
+  return clockTicks;
+}
+
+// Fields of every report section, by type. A section is either
+// { success: true, ...fields } or { success: false, error }. `process` is
+// null when no SYSTEM_AGENT_PROCESS is configured. 'percent' is a number or
+// numeric string from 0 to 100
+const SYSTEM_REPORT_SCHEMA = {
+  ram: {
+    percentage: 'percent',
+    total: 'string',
+    used: 'string',
+    available: 'string',
+    totalBytes: 'number',
+    usedBytes: 'number',
+    availableBytes: 'number',
+    swap: 'object',
+  },
+  disk: {
+    usage_percent: 'percent',
+    mount: 'string',
+    total: 'string',
+    used: 'string',
+    available: 'string',
+    mounts: 'array',
+  },
+  cpu: {
+    usage: 'percent',
+    usageType: 'string',
+    cores: 'number',
+    model: 'string',
+    breakdown: 'object',
+  },
+  load: {
+    '1min': 'number',
+    '5min': 'number',
+    '15min': 'number',
+    perCore: 'number',
+  },
+  network: {
+    rxBytesPerSec: 'number',
+    txBytesPerSec: 'number',
+    interfaces: 'array',
+  },
+  process: {
+    name: 'string',
+    running: 'boolean',
+    pids: 'array',
+  },
+};
+
+// Sections older, unversioned system monitors report
+const LEGACY_SECTIONS = ['ram', 'disk', 'cpu'];
+
+// Helper function to check a report value against a schema type
+function checkReportType(value, type) {
+  switch (type) {
+    case 'percent': {
+      const number = parseFloat(value);
+      return ['number', 'string'].includes(typeof value) &&
+        !isNaN(number) &&
+        number >= 0 &&
+        number <= 100
+        ? null
+        : 'must be a percentage';
+    }
+    case 'array':
+      return Array.isArray(value) ? null : 'must be a list';
+    case 'object':
+      return value && typeof value === 'object' && !Array.isArray(value)
+        ? null
+        : 'must be an object';
+    default:
+      return typeof value === type ? null : `must be a ${type}`;
+  }
+}
+
+// Validate a /system report and return a list of readable errors. Reports
+// without schemaVersion come from older monitors; they are only accepted with
+// `allowLegacy`, and then only need ram, disk and cpu sections
+function validateSystemReport(report, { allowLegacy = false } = {}) {
+  if (!report || typeof report !== 'object' || Array.isArray(report)) {
+    return ['Report must be an object'];
+  }
+  if (report.success !== true) {
+    return [report.error || 'Report is not successful'];
+  }
+
+  const legacy = report.schemaVersion === undefined;
+  if (legacy && !allowLegacy) {
+    return [
+      `Missing schemaVersion (expected ${SYSTEM_SCHEMA_VERSION}); unversioned reports are only accepted with SYSTEM_LEGACY_REPORTS=true`,
+    ];
+  }
+  if (!legacy && report.schemaVersion !== SYSTEM_SCHEMA_VERSION) {
+    return [
+      `Unsupported schemaVersion ${report.schemaVersion} (expected ${SYSTEM_SCHEMA_VERSION})`,
+    ];
+  }
+
+  const errors = [];
+  const sections = legacy ? LEGACY_SECTIONS : Object.keys(SYSTEM_REPORT_SCHEMA);
+  for (const section of sections) {
+    const data = report[section];
+    if (section === 'process' && data === null) continue;
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      errors.push(`"${section}" must be an object`);
+      continue;
+    }
+    if (typeof data.success !== 'boolean') {
+      errors.push(`"${section}.success" must be a boolean`);
+      continue;
+    }
+    if (!data.success || legacy) continue;
+
+    for (const [field, type] of Object.entries(SYSTEM_REPORT_SCHEMA[section])) {
+      const error = checkReportType(data[field], type);
+      if (error) {
+        errors.push(`"${section}.${field}" ${error}`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Helper function to format a byte count like 1.5GB
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024 / 1024).toFixed(1)}GB`;
+}
+
+// Helper function to read a /proc file
+function readProc(file) {
+  return fs.readFileSync(`/proc/${file}`, 'utf8');
+}
+
+// Aggregate CPU times in ticks from /proc/stat
+function readCpuTimes() {
+  const line = readProc('stat')
+    .split('\n')
+    .find((entry) => entry.startsWith('cpu '));
+  const [user, nice, system, idle, iowait, irq, softirq, steal] = line
+    .trim()
+    .split(/\s+/)
+    .slice(1, 9)
+    .map(Number);
+
+  return {
+    user: user + nice,
+    system: system + irq + softirq,
+    idle,
+    iowait,
+    steal,
+    total: user + nice + system + idle + iowait + irq + softirq + steal,
+  };
+}
+
+// Byte and error counters of each network interface from /proc/net/dev
+function readNetworkCounters() {
+  const counters = {};
+  for (const line of readProc('net/dev').split('\n').slice(2)) {
+    const [name, data] = line.split(':');
+    if (!data) continue;
+
+    const values = data.trim().split(/\s+/).map(Number);
+    counters[name.trim()] = {
+      rxBytes: values[0],
+      rxErrors: values[2],
+      txBytes: values[8],
+      txErrors: values[10],
+    };
+  }
+  return counters;
+}
+
+// Pids, state, CPU ticks, memory and start time of the watched node process
+function readProcessInfo() {
+  const pids = fs
+    .readdirSync('/proc')
+    .filter((entry) => /^\d+$/.test(entry) && entry !== String(process.pid))
+    .filter((pid) => {
+      try {
+        const name = readProc(`${pid}/comm`).trim();
+        const executable = readProc(`${pid}/cmdline`).split('\0')[0];
+        return (
+          name === SYSTEM_AGENT_PROCESS ||
+          executable.split('/').pop() === SYSTEM_AGENT_PROCESS
+        );
+      } catch (error) {
+        // The process exited while we were reading it
+        return false;
+      }
+    });
+
+  let ticks = 0;
+  let rssBytes = 0;
+  let threads = 0;
+  let state = null;
+  let startTicks = null;
+  for (const pid of pids) {
+    try {
+      // Fields after the parenthesized process name, starting with state
+      const stat = readProc(`${pid}/stat`);
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      ticks += Number(fields[11]) + Number(fields[12]);
+      threads += Number(fields[17]);
+      state = state || fields[0];
+      startTicks = Math.min(startTicks ?? Infinity, Number(fields[19]));
+
+      const rss = readProc(`${pid}/status`).match(/^VmRSS:\s+(\d+)/m);
+      rssBytes += rss ? Number(rss[1]) * 1024 : 0;
+    } catch (error) {
+      // The process exited while we were reading it
+    }
+  }
+
+  return {
+    pids: pids.map(Number),
+    ticks,
+    rssBytes,
+    threads,
+    state,
+    startTicks,
+  };
+}
+
+// Counters that usage rates are calculated from
+function takeSample() {
+  return {
+    time: Date.now(),
+    cpu: readCpuTimes(),
+    network: readNetworkCounters(),
+    process: SYSTEM_AGENT_PROCESS ? readProcessInfo() : null,
+  };
+}
+
+// Get RAM and swap usage from /proc/meminfo
+function getRamReport() {
+  try {
+    const meminfo = {};
+    for (const line of readProc('meminfo').split('\n')) {
+      const match = line.match(/^(\w+):\s+(\d+)/);
+      if (match) {
+        meminfo[match[1]] = Number(match[2]) * 1024;
+      }
+    }
+
+    const totalBytes = meminfo.MemTotal;
+    const availableBytes = meminfo.MemAvailable ?? meminfo.MemFree;
+    const usedBytes = totalBytes - availableBytes;
+    const swapUsed = meminfo.SwapTotal - meminfo.SwapFree;
+
+    return {
+      success: true,
+      total: formatBytes(totalBytes),
+      used: formatBytes(usedBytes),
+      available: formatBytes(availableBytes),
+      percentage: ((usedBytes / totalBytes) * 100).toFixed(1),
+      totalBytes,
+      usedBytes,
+      availableBytes,
+      swap: {
+        totalBytes: meminfo.SwapTotal,
+        usedBytes: swapUsed,
+        percentage:
+          meminfo.SwapTotal > 0
+            ? ((swapUsed / meminfo.SwapTotal) * 100).toFixed(1)
+            : '0.0',
+      },
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Get usage of every mounted disk. The top-level fields describe the fullest
+// mount, which alerts and the health score use
+function getDiskReport() {
+  try {
+    const devices = new Set();
+    const mounts = [];
+
+    for (const line of readProc('mounts').split('\n')) {
+      const [device, rawMount, fsType] = line.split(' ');
+      if (!fsType || PSEUDO_FILESYSTEMS.has(fsType)) continue;
+
+      // Spaces and other special characters are octal escaped
+      const mount = rawMount.replace(/\\([0-7]{3})/g, (match, code) =>
+        String.fromCharCode(parseInt(code, 8))
+      );
+      if (SYSTEM_AGENT_MOUNTS && !SYSTEM_AGENT_MOUNTS.includes(mount)) continue;
+      // Bind mounts report the same device again
+      if (devices.has(device)) continue;
+
+      let stats;
+      try {
+        stats = fs.statfsSync(mount);
+      } catch (error) {
+        continue;
+      }
+      if (stats.blocks === 0) continue;
+      devices.add(device);
+
+      const totalBytes = stats.blocks * stats.bsize;
+      const usedBytes = (stats.blocks - stats.bfree) * stats.bsize;
+      const availableBytes = stats.bavail * stats.bsize;
+      mounts.push({
+        mount,
+        device,
+        fsType,
+        totalBytes,
+        usedBytes,
+        availableBytes,
+        // Like df: reserved blocks count as neither used nor available
+        usage_percent: (
+          (usedBytes / (usedBytes + availableBytes)) *
+          100
+        ).toFixed(1),
+      });
+    }
+
+    if (mounts.length === 0) {
+      return { success: false, error: 'No disks found' };
+    }
+
+    const fullest = mounts.reduce((max, mount) =>
+      parseFloat(mount.usage_percent) > parseFloat(max.usage_percent)
+        ? mount
+        : max
+    );
+    return {
+      success: true,
+      mount: fullest.mount,
+      total: formatBytes(fullest.totalBytes),
+      used: formatBytes(fullest.usedBytes),
+      available: formatBytes(fullest.availableBytes),
+      usage_percent: fullest.usage_percent,
+      mounts,
+    };
+  } catch (error) {
+    return { success: false, error: error.message };
+  }
+}
+
+// Get CPU usage between two samples as percentages of all cores
+function getCpuReport(previous, current) {
+  const cpus = os.cpus();
+  const elapsed = current.cpu.total - previous.cpu.total;
+  const percent = (field) =>
+    elapsed > 0
+      ? (((current.cpu[field] - previous.cpu[field]) / elapsed) * 100).toFixed(
+          1
+        )
+      : '0.0';
+
+  return {
+    success: true,
+    usage:
+      elapsed > 0
+        ? (
+            (1 -
+              (current.cpu.idle +
+                current.cpu.iowait -
+                previous.cpu.idle -
+                previous.cpu.iowait) /
+                elapsed) *
+            100
+          ).toFixed(1)
+        : '0.0',
+    usageType: 'percentage',
+    cores: cpus.length,
+    model: cpus[0]?.model || 'unknown',
+    breakdown: {
+      user: percent('user'),
+      system: percent('system'),
+      iowait: percent('iowait'),
+      steal: percent('steal'),
+      idle: percent('idle'),
+    },
+  };
+}
+
+// Get the load average, also divided by the number of cores
+function getLoadReport() {
+  const [load1, load5, load15] = os.loadavg();
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    success: true,
+    '1min': round(load1),
+    '5min': round(load5),
+    '15min': round(load15),
+    perCore: round(load1 / os.cpus().length),
+  };
+}
+
+// Get network throughput between two samples, per interface and in total
+function getNetworkReport(previous, current) {
+  const seconds = (current.time - previous.time) / 1000;
+  const interfaces = Object.entries(current.network)
+    .filter(([name]) =>
+      SYSTEM_AGENT_INTERFACES
+        ? SYSTEM_AGENT_INTERFACES.includes(name)
+        : name !== 'lo'
+    )
+    .map(([name, counters]) => {
+      const before = previous.network[name] || counters;
+      const rate = (field) =>
+        seconds > 0
+          ? Math.max(0, Math.round((counters[field] - before[field]) / seconds))
+          : 0;
+      return {
+        name,
+        ...counters,
+        rxBytesPerSec: rate('rxBytes'),
+        txBytesPerSec: rate('txBytes'),
+      };
+    });
+
+  return {
+    success: true,
+    rxBytesPerSec: interfaces.reduce(
+      (sum, item) => sum + item.rxBytesPerSec,
+      0
+    ),
+    txBytesPerSec: interfaces.reduce(
+      (sum, item) => sum + item.txBytesPerSec,
+      0
+    ),
+    interfaces,
+  };
+}
+
+// Get the status of the watched node process between two samples
+function getProcessReport(previous, current) {
+  if (!current.process) return null;
+
+  const info = current.process;
+  if (info.pids.length === 0) {
+    return {
+      success: true,
+      name: SYSTEM_AGENT_PROCESS,
+      running: false,
+      pids: [],
+    };
+  }
+
+  const seconds = (current.time - previous.time) / 1000;
+  const ticks = info.ticks - (previous.process?.ticks ?? info.ticks);
+  const uptime = parseFloat(readProc('uptime').split(' ')[0]);
+
+  return {
+    success: true,
+    name: SYSTEM_AGENT_PROCESS,
+    running: true,
+    pids: info.pids,
+    state: info.state,
+    threads: info.threads,
+    uptime: Math.round(uptime - info.startTicks / getClockTicks()),
+    // Percent of one core, so multi-threaded nodes can exceed 100
+    cpu:
+      seconds > 0
+        ? Math.max(0, (ticks / getClockTicks() / seconds) * 100).toFixed(1)
+        : '0.0',
+    rssBytes: info.rssBytes,
+  };
+}
+
+// Build a full report from two samples
+function buildSystemReport(previous, current) {
+  return {
+    success: true,
+    schemaVersion: SYSTEM_SCHEMA_VERSION,
+    timestamp: new Date(current.time).toISOString(),
+    hostname: os.hostname(),
+    uptime: Math.round(os.uptime()),
+    sampleInterval: current.time - previous.time,
+    ram: getRamReport(),
+    disk: getDiskReport(),
+    cpu: getCpuReport(previous, current),
+    load: getLoadReport(),
+    network: getNetworkReport(previous, current),
+    process: getProcessReport(previous, current),
+  };
+}
+
+// Start the agent: sample every SYSTEM_AGENT_INTERVAL and serve the latest
+// report
+function startSystemAgent() {
+  if (!fs.existsSync('/proc/stat')) {
+    console.log('❌ The system agent needs Linux /proc');
+    process.exit(1);
+  }
+
+  let previous = takeSample();
+  let report = null;
+
+  const refresh = () => {
+    try {
+      const current = takeSample();
+      report = buildSystemReport(previous, current);
+      previous = current;
+    } catch (error) {
+      console.log(`💥 System sample error: ${error.message}`);
+    }
+  };
+  setInterval(refresh, SYSTEM_AGENT_INTERVAL);
+
+  const app = express();
+
+  app.get('/system', (req, res) => {
+    // Before the first interval, report usage since the agent started
+    if (!report) refresh();
+
+    if (!report) {
+      return res.status(503).json({
+        success: false,
+        error: 'No system sample yet',
+      });
+    }
+    res.json(report);
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      schemaVersion: SYSTEM_SCHEMA_VERSION,
+      timestamp: new Date().toISOString(),
+    });
+  });
+
+  app.listen(SYSTEM_AGENT_PORT, SYSTEM_AGENT_HOST, () => {
+    console.log(
+      `🖥️ System agent running on ${SYSTEM_AGENT_HOST}:${SYSTEM_AGENT_PORT} (schema v${SYSTEM_SCHEMA_VERSION}, ${getClockTicks()} clock ticks/s)`
+    );
+    console.log(
+      SYSTEM_AGENT_PROCESS
+        ? `👀 Watching node process "${SYSTEM_AGENT_PROCESS}"`
+        : '⚠️ SYSTEM_AGENT_PROCESS not set, node process status is not reported'
+    );
+  });
+}
+
+module.exports = {
+  SYSTEM_SCHEMA_VERSION,
+  SYSTEM_REPORT_SCHEMA,
+  validateSystemReport,
+  startSystemAgent,
+};
+
+if (require.main === module) {
+  startSystemAgent();
+}
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+
+const { makeRpcCall } = require('../rpc_monitor');
+
+// Start a JSON-RPC server answering every call with its method name, or
+// with `reply(body)` when it returns { status, body }. Records the requests
+function startServer(reply = () => null) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => (raw += chunk));
+    req.on('end', () => {
+      const body = JSON.parse(raw);
+      requests.push(body);
+
+      const custom = reply(body);
+      const answer = (call) => ({
+        jsonrpc: '2.0',
+        id: call.id,
+        result: call.method,
+      });
+      res.writeHead(custom?.status || 200, {
+        'Content-Type': 'application/json',
+      });
+      res.end(
+        JSON.stringify(
+          custom
+            ? custom.body
+            : Array.isArray(body)
+            ? body.map(answer)
+            : answer(body)
+        )
+      );
+    });
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () =>
+      resolve({
+        url: `http://127.0.0.1:${server.address().port}`,
+        requests,
+        close: () => server.close(),
+      })
+    )
+  );
+}
+
+// Make calls in the same tick, so they are batched together
+function callTogether(url, methods) {
+  return Promise.all(
+    methods.map((method) => makeRpcCall(url, method, [], 2000))
+  );
+}
+
+test('calls made together go out as one batch', async () => {
+  const server = await startServer();
+  try {
+    const results = await callTogether(server.url, [
+      'eth_chainId',
+      'net_version',
+    ]);
+
+    assert.deepStrictEqual(
+      results.map((result) => result.result),
+      ['eth_chainId', 'net_version']
+    );
+    assert.strictEqual(server.requests.length, 1);
+    assert.ok(Array.isArray(server.requests[0]));
+  } finally {
+    server.close();
+  }
+});
+
+test('an endpoint rejecting batches with 400 gets individual calls', async () => {
+  const server = await startServer((body) =>
+    Array.isArray(body)
+      ? { status: 400, body: { error: 'batch not supported' } }
+      : null
+  );
+  try {
+    const results = await callTogether(server.url, [
+      'eth_chainId',
+      'net_version',
+    ]);
+    assert.ok(results.every((result) => result.success));
+
+    // Later calls skip batching
+    await callTogether(server.url, ['eth_gasPrice', 'eth_syncing']);
+    assert.strictEqual(
+      server.requests.filter((request) => Array.isArray(request)).length,
+      1
+    );
+  } finally {
+    server.close();
+  }
+});
+
+test('a 401 fails the calls instead of disabling batching', async () => {
+  const server = await startServer(() => ({
+    status: 401,
+    body: { error: 'invalid api key' },
+  }));
+  try {
+    const results = await callTogether(server.url, [
+      'eth_chainId',
+      'net_version',
+    ]);
+
+    for (const result of results) {
+      assert.strictEqual(result.success, false);
+      assert.strictEqual(result.errorClass, 'http_error');
+      assert.strictEqual(result.httpStatus, 401);
+    }
+    assert.strictEqual(server.requests.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('a 400 that single calls get too is not taken for a batch rejection', async () => {
+  const server = await startServer(() => ({
+    status: 400,
+    body: { error: 'bad request' },
+  }));
+  try {
+    const results = await callTogether(server.url, [
+      'eth_chainId',
+      'net_version',
+    ]);
+    assert.ok(results.every((result) => result.httpStatus === 400));
+
+    // Batching stays on: the next calls are batched again
+    await callTogether(server.url, ['eth_gasPrice', 'eth_syncing']);
+    assert.strictEqual(
+      server.requests.filter((request) => Array.isArray(request)).length,
+      2
+    );
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { loadConfig, validateConfig } = require('../rpc_monitor');
+
+// Configuration with main endpoints for the given keys
+function configWithKeys(...keys) {
+  return {
+    endpoints: keys.map((key) => ({
+      key,
+      name: key,
+      url: `http://localhost:8545/${key}`,
+    })),
+  };
+}
+
+test('accepts a valid configuration', () => {
+  assert.deepStrictEqual(validateConfig(configWithKeys('main', 'backup')), []);
+});
+
+test('rejects duplicate endpoint keys', () => {
+  const errors = validateConfig(configWithKeys('main', 'main'));
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /duplicate/);
+});
+
+test('rejects endpoint keys that are API routes', () => {
+  for (const key of ['status', 'endpoints', 'sla', 'usage', 'incidents']) {
+    const errors = validateConfig(configWithKeys(key));
+    assert.strictEqual(errors.length, 1, key);
+    assert.match(errors[0], new RegExp(`"${key}" is reserved`));
+  }
+});
+
+test('rejects compare_with references to unknown endpoints', () => {
+  const config = configWithKeys('main');
+  config.endpoints[0].compare_with = 'missing';
+  const errors = validateConfig(config);
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /compare_with "missing"/);
+});
+
+test('rejects an invalid environment configuration', () => {
+  Object.assign(process.env, {
+    RPC_1_NAME: 'Main',
+    RPC_1_URL: 'not-a-url',
+    RPC_1_CHAIN_ID: '1',
+  });
+  try {
+    const loaded = loadConfig();
+    assert.strictEqual(loaded.success, false);
+    assert.strictEqual(loaded.source, 'environment');
+    assert.match(loaded.errors[0], /"url" must be a valid URL/);
+  } finally {
+    delete process.env.RPC_1_NAME;
+    delete process.env.RPC_1_URL;
+    delete process.env.RPC_1_CHAIN_ID;
+  }
+});
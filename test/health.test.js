@@ -0,0 +1,93 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { calculateHealth } = require('../rpc_monitor');
+
+const endpoint = { checks: [] };
+
+// Probe results where every built-in test passed, with optional overrides
+function probeResults(overrides = {}) {
+  return {
+    tests: {
+      blockNumber: { success: true },
+      chainId: { success: true },
+      syncStatus: { success: true },
+      gasPrice: { success: true },
+    },
+    blockDifference: null,
+    latency: { average: 50 },
+    system: null,
+    validation: { reasons: [] },
+    ...overrides,
+  };
+}
+
+test('scores a probe with every test passing as healthy', () => {
+  const health = calculateHealth(endpoint, probeResults());
+  assert.strictEqual(health.score, 100);
+  assert.strictEqual(health.status, 'healthy');
+  assert.strictEqual(health.critical, false);
+});
+
+test('weighs failed tests by their weight', () => {
+  const results = probeResults();
+  results.tests.gasPrice = { success: false, error: 'timeout' };
+  // blockNumber 3 + chainId 2 + syncStatus 2 of 8
+  assert.strictEqual(calculateHealth(endpoint, results).score, 87.5);
+});
+
+test('uses the weight of declared checks', () => {
+  const results = probeResults();
+  results.tests.custom = { success: false };
+  const health = calculateHealth(
+    { checks: [{ name: 'custom', weight: 8, critical: false }] },
+    results
+  );
+  assert.strictEqual(health.score, 50);
+  assert.strictEqual(health.status, 'degraded');
+});
+
+test('deducts block lag beyond the tolerance, up to the maximum', () => {
+  const lagging = (difference) =>
+    calculateHealth(endpoint, probeResults({ blockDifference: { difference } }))
+      .score;
+  assert.strictEqual(lagging(2), 100);
+  assert.strictEqual(lagging(7), 90);
+  assert.strictEqual(lagging(500), 60);
+});
+
+test('deducts latency and resource penalties', () => {
+  const health = calculateHealth(
+    endpoint,
+    probeResults({
+      latency: { average: 1500 },
+      system: { ram: { percentage: '96.0' }, disk: null, cpu: null },
+    })
+  );
+  assert.deepStrictEqual(health.breakdown.penalties, {
+    lag: 0,
+    latency: 20,
+    resources: 25,
+  });
+  assert.strictEqual(health.score, 55);
+});
+
+test('forces the score to 0 on a critical test failure', () => {
+  const results = probeResults();
+  results.tests.blockNumber = { success: false, error: 'connection refused' };
+  const health = calculateHealth(endpoint, results);
+  assert.strictEqual(health.score, 0);
+  assert.strictEqual(health.status, 'unhealthy');
+  assert.deepStrictEqual(health.reasons, [
+    'blockNumber failed: connection refused',
+  ]);
+});
+
+test('forces the score to 0 on a failed validation check', () => {
+  const health = calculateHealth(
+    endpoint,
+    probeResults({ validation: { reasons: ['Node is syncing'] } })
+  );
+  assert.strictEqual(health.score, 0);
+  assert.strictEqual(health.critical, true);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { once } = require('events');
+const net = require('net');
+const axios = require('axios');
+
+// The proxy settings are read when the monitor is loaded
+const PORT = 18545;
+process.env.PROXY_ENABLED = 'true';
+process.env.PROXY_PORT = String(PORT);
+
+const { startProxy } = require('../rpc_monitor');
+
+// Open a WebSocket connection by hand and send a frame without the mask bit,
+// which clients must never send. Resolves when the proxy drops the socket
+function sendUnmaskedFrame() {
+  return new Promise((resolve, reject) => {
+    const socket = net.connect(PORT, '127.0.0.1', () => {
+      socket.write(
+        [
+          'GET / HTTP/1.1',
+          'Host: 127.0.0.1',
+          'Upgrade: websocket',
+          'Connection: Upgrade',
+          'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+          'Sec-WebSocket-Version: 13',
+          '',
+          '',
+        ].join('\r\n')
+      );
+      // Text frame "hi"
+      socket.write(Buffer.from([0x81, 0x02, 0x68, 0x69]));
+    });
+    socket.on('error', reject);
+    socket.on('close', resolve);
+    socket.resume();
+  });
+}
+
+test('a malformed WebSocket frame does not stop the proxy', async () => {
+  const server = startProxy();
+  await once(server, 'listening');
+
+  try {
+    await sendUnmaskedFrame();
+
+    // Still serving requests
+    const response = await axios.post(`http://127.0.0.1:${PORT}/`, 'x', {
+      validateStatus: () => true,
+    });
+    assert.strictEqual(response.data.error.code, -32700);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,68 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { probeWithinBudget, getProviderUsage } = require('../rpc_monitor');
+
+const INTERVAL = 1000;
+
+// Run the poll loop ticks at `times`, probing through probeWithinBudget with
+// a fake clock. Returns the times a probe actually ran
+async function runTicks(url, times, isRateLimited) {
+  const realNow = Date.now;
+  const probed = [];
+  let now = 0;
+  Date.now = () => now;
+
+  try {
+    for (const time of times) {
+      now = time;
+      await probeWithinBudget('rate_limit_test', url, INTERVAL, async () => {
+        probed.push(time);
+        return {
+          name: 'Test',
+          tests: {
+            blockNumber: isRateLimited(probed.length)
+              ? { success: false, errorClass: 'rate_limited' }
+              : { success: true },
+          },
+        };
+      });
+    }
+  } finally {
+    Date.now = realNow;
+  }
+  return probed;
+}
+
+// Ticks every INTERVAL ms, as the poll loop does
+function ticks(count) {
+  return Array.from({ length: count }, (_, index) => index * INTERVAL);
+}
+
+test('rate limited probes double the spacing between probes', async () => {
+  const probed = await runTicks('http://slowdown.test', ticks(15), () => true);
+
+  assert.deepStrictEqual(probed, [0, 2000, 6000, 14000]);
+  assert.strictEqual(getProviderUsage('http://slowdown.test').slowdown, 16);
+});
+
+test('probes stay spaced out across clean probes after rate limiting', async () => {
+  // Rate limited three times (8x), then clean: the spacing halves per probe
+  const probed = await runTicks(
+    'http://recovery.test',
+    ticks(25),
+    (probes) => probes <= 3
+  );
+
+  assert.deepStrictEqual(
+    probed,
+    [0, 2000, 6000, 14000, 18000, 20000, 21000, 22000, 23000, 24000]
+  );
+  assert.strictEqual(getProviderUsage('http://recovery.test').slowdown, 1);
+});
+
+test('a clean provider is probed on every tick', async () => {
+  const probed = await runTicks('http://clean.test', ticks(4), () => false);
+
+  assert.deepStrictEqual(probed, [0, 1000, 2000, 3000]);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { getRequestFailure, getRetryDelay } = require('../rpc_monitor');
+
+// Error shaped like the ones axios throws
+function requestError(message, code, status) {
+  const error = new Error(message);
+  error.code = code;
+  if (status) {
+    error.response = { status, headers: {} };
+  }
+  return error;
+}
+
+test('classifies request errors by code', () => {
+  const cases = [
+    [requestError('connect ETIMEDOUT 10.0.0.1:443', 'ETIMEDOUT'), 'timeout'],
+    [requestError('aborted', 'ECONNABORTED'), 'timeout'],
+    [requestError('connect failed', 'ECONNREFUSED'), 'connection_refused'],
+    [requestError('lookup failed', 'EAI_AGAIN'), 'dns'],
+    [requestError('write failed', 'EPIPE'), 'connection_reset'],
+    [requestError('certificate has expired', 'CERT_HAS_EXPIRED'), 'tls'],
+  ];
+  for (const [error, errorClass] of cases) {
+    assert.strictEqual(getRequestFailure(error, {}).errorClass, errorClass);
+  }
+});
+
+test('classifies HTTP errors by status', () => {
+  const failure = (status) =>
+    getRequestFailure(
+      requestError(`Request failed with status code ${status}`, 'X', status),
+      {}
+    );
+  assert.strictEqual(failure(429).errorClass, 'rate_limited');
+  assert.strictEqual(failure(503).errorClass, 'http_5xx');
+  assert.strictEqual(failure(403).errorClass, 'http_error');
+  assert.strictEqual(failure(403).httpStatus, 403);
+});
+
+test('falls back to the message for unknown codes', () => {
+  const error = requestError('socket hang up', undefined);
+  assert.strictEqual(
+    getRequestFailure(error, {}).errorClass,
+    'connection_reset'
+  );
+});
+
+test('backs off exponentially with jitter up to the maximum delay', () => {
+  for (let i = 0; i < 50; i++) {
+    const first = getRetryDelay(1);
+    assert.ok(first >= 125 && first <= 250, `${first}`);
+    const third = getRetryDelay(3);
+    assert.ok(third >= 500 && third <= 1000, `${third}`);
+    const capped = getRetryDelay(20);
+    assert.ok(capped >= 2500 && capped <= 5000, `${capped}`);
+  }
+});
+
+test('waits for Retry-After when it is longer than the backoff', () => {
+  assert.strictEqual(getRetryDelay(1, 2), 2000);
+  assert.strictEqual(getRetryDelay(1, 60), 5000);
+});
@@ -0,0 +1,99 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  buildEndpointHistoryRecord,
+  calculateAvailability,
+} = require('../rpc_monitor');
+
+const MINUTE = 60000;
+
+// Main endpoint probe result with a successful block number call
+function probeResult(health, blockDifference = 0) {
+  return {
+    timestamp: new Date(0).toISOString(),
+    tests: { blockNumber: { success: true, block: 100 } },
+    blockDifference: { difference: blockDifference },
+    latency: { average: 50 },
+    health: { score: health, critical: false, reasons: [] },
+    system: null,
+  };
+}
+
+test('a probe with a critical health failure is recorded as down', () => {
+  const result = probeResult(0);
+  result.health.critical = true;
+  result.health.reasons = ['Chain ID mismatch: expected 999, got 1'];
+
+  const record = buildEndpointHistoryRecord(result);
+  assert.strictEqual(record.success, true);
+  assert.strictEqual(record.up, false);
+});
+
+test('lagging and low health probes are down, healthy ones up', () => {
+  assert.strictEqual(buildEndpointHistoryRecord(probeResult(100)).up, true);
+  assert.strictEqual(buildEndpointHistoryRecord(probeResult(10)).up, false);
+  assert.strictEqual(
+    buildEndpointHistoryRecord(probeResult(100, 50)).up,
+    false
+  );
+});
+
+test('availability counts down records and incidents with MTTR', () => {
+  const ups = [true, true, false, false, true, true, false, true, true, true];
+  const records = ups.map((up, index) => ({
+    t: index * MINUTE,
+    success: true,
+    up,
+  }));
+
+  const availability = calculateAvailability(records, 10 * MINUTE);
+
+  assert.strictEqual(availability.availability, 70);
+  assert.strictEqual(availability.samples, 10);
+  assert.strictEqual(availability.incidents, 2);
+  assert.strictEqual(availability.ongoing, false);
+  assert.strictEqual(availability.downtime, 3 * MINUTE);
+  assert.strictEqual(availability.mttr, 1.5 * MINUTE);
+});
+
+test('an incident still open counts until the end of the window', () => {
+  const records = [
+    { t: 0, up: true },
+    { t: MINUTE, up: false },
+  ];
+
+  const availability = calculateAvailability(records, 5 * MINUTE);
+
+  assert.strictEqual(availability.ongoing, true);
+  assert.strictEqual(availability.downtime, 4 * MINUTE);
+  assert.strictEqual(availability.mttr, null);
+});
+
+test('downsampled records are weighted by their samples', () => {
+  const records = [
+    { t: 0, samples: 3, success: 1, up: 1 },
+    { t: MINUTE, samples: 1, success: 1, up: 0 },
+  ];
+
+  assert.strictEqual(
+    calculateAvailability(records, 2 * MINUTE).availability,
+    75
+  );
+});
+
+test('records without `up` fall back to `success`', () => {
+  const records = [
+    { t: 0, success: true },
+    { t: MINUTE, success: false },
+  ];
+
+  assert.strictEqual(
+    calculateAvailability(records, 2 * MINUTE).availability,
+    50
+  );
+});
+
+test('no records give no availability', () => {
+  assert.strictEqual(calculateAvailability([], 0).availability, null);
+});
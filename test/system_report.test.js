@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const {
+  SYSTEM_SCHEMA_VERSION,
+  validateSystemReport,
+} = require('../system_agent');
+
+// Complete, valid report of the current schema
+function systemReport() {
+  return {
+    success: true,
+    schemaVersion: SYSTEM_SCHEMA_VERSION,
+    ram: {
+      success: true,
+      percentage: '40.0',
+      total: '16.0GB',
+      used: '6.4GB',
+      available: '9.6GB',
+      totalBytes: 16,
+      usedBytes: 6,
+      availableBytes: 10,
+      swap: {},
+    },
+    disk: {
+      success: true,
+      usage_percent: '50.0',
+      mount: '/',
+      total: '100.0GB',
+      used: '50.0GB',
+      available: '50.0GB',
+      mounts: [],
+    },
+    cpu: {
+      success: true,
+      usage: '12.5',
+      usageType: 'percentage',
+      cores: 8,
+      model: 'test',
+      breakdown: {},
+    },
+    load: { success: true, '1min': 1, '5min': 1, '15min': 1, perCore: 0.1 },
+    network: {
+      success: true,
+      rxBytesPerSec: 0,
+      txBytesPerSec: 0,
+      interfaces: [],
+    },
+    process: null,
+  };
+}
+
+// Report of an older, unversioned system monitor
+function legacyReport() {
+  return {
+    success: true,
+    ram: { success: true, percentage: '40.0' },
+    disk: { success: true, usage_percent: '50.0' },
+    cpu: { success: true, usage: '12.5' },
+  };
+}
+
+test('accepts a complete report', () => {
+  assert.deepStrictEqual(validateSystemReport(systemReport()), []);
+});
+
+test('names the fields that do not match the schema', () => {
+  const report = systemReport();
+  report.cpu.usage = '120';
+  delete report.network.interfaces;
+  assert.deepStrictEqual(validateSystemReport(report), [
+    '"cpu.usage" must be a percentage',
+    '"network.interfaces" must be a list',
+  ]);
+});
+
+test('accepts failed sections with only an error', () => {
+  const report = systemReport();
+  report.disk = { success: false, error: 'No disks found' };
+  assert.deepStrictEqual(validateSystemReport(report), []);
+});
+
+test('rejects unsupported schema versions', () => {
+  const report = systemReport();
+  report.schemaVersion = SYSTEM_SCHEMA_VERSION + 1;
+  assert.match(validateSystemReport(report)[0], /Unsupported schemaVersion/);
+});
+
+test('only accepts unversioned reports on the legacy path', () => {
+  assert.match(
+    validateSystemReport(legacyReport())[0],
+    /Missing schemaVersion/
+  );
+  assert.deepStrictEqual(
+    validateSystemReport(legacyReport(), { allowLegacy: true }),
+    []
+  );
+
+  const report = legacyReport();
+  delete report.cpu;
+  assert.deepStrictEqual(validateSystemReport(report, { allowLegacy: true }), [
+    '"cpu" must be an object',
+  ]);
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert');
+
+const { validateEndpointResult } = require('../rpc_monitor');
+
+const endpoint = { expected_chain_id: 1, block_stall_after: 0 };
+
+// Probe results with only a successful block number test
+function blockResult(block) {
+  return { tests: { blockNumber: { success: true, block } } };
+}
+
+test('flags a block number that goes backwards', () => {
+  validateEndpointResult('backwards', endpoint, blockResult(10), true);
+  const validation = validateEndpointResult(
+    'backwards',
+    endpoint,
+    blockResult(9),
+    true
+  );
+  assert.strictEqual(validation.checks.blockProgress.passed, false);
+  assert.match(validation.checks.blockProgress.reason, /went backwards/);
+});
+
+test('manual probes do not move the last seen block', () => {
+  validateEndpointResult('manual', endpoint, blockResult(10), true);
+  validateEndpointResult('manual', endpoint, blockResult(11), false);
+
+  const validation = validateEndpointResult(
+    'manual',
+    endpoint,
+    blockResult(10),
+    true
+  );
+  assert.strictEqual(validation.checks.blockProgress.previous, 10);
+  assert.match(validation.checks.blockProgress.reason, /stuck at 10/);
+});